@@ -1,6 +1,13 @@
 /**
  * Achievement Definitions for Pekkas Pokal
  * All possible achievements that can be unlocked
+ *
+ * An achievement whose rule can't become false again (a count, a streak, a
+ * career stat reaching a `min`) is permanent once unlocked. One whose rule
+ * can (a `max`, a share, "every start") is held only while it is met. One
+ * marked `title: true` is a title: it belongs to whoever meets the rule right
+ * now (most gold, longest running streak) and changes hands when someone
+ * else does.
  */
 
 const ACHIEVEMENT_DEFINITIONS = [
@@ -12,7 +19,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vinn din första årliga Pekkas Pokal',
     category: 'medals',
     rarity: 'common',
-    points: 10
+    points: 10,
+    rule: { count: 'win', min: 1 }
   },
   {
     id: 'gold_collector',
@@ -21,7 +29,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3+ guldmedaljer i Pekkas Pokal',
     category: 'medals',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { count: 'win', min: 3 }
   },
   {
     id: 'gold_king',
@@ -30,7 +39,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '5+ guldmedaljer - Pokalens regent',
     category: 'medals',
     rarity: 'legendary',
-    points: 100
+    points: 100,
+    rule: { count: 'win', min: 5 }
   },
   {
     id: 'medal_hoarder',
@@ -39,7 +49,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Flest medaljer totalt av alla',
     category: 'medals',
     rarity: 'mythic',
-    points: 150
+    points: 150,
+    rule: { most: 'medals' },
+    title: true
   },
   {
     id: 'medal_magnet',
@@ -48,7 +60,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '10+ medaljer totalt',
     category: 'medals',
     rarity: 'epic',
-    points: 50
+    points: 50,
+    rule: { stat: 'medals', min: 10 }
   },
   {
     id: 'rainbow_medals',
@@ -57,7 +70,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Minst en guld, silver och brons',
     category: 'medals',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { all: [{ count: 'win', min: 1 }, { count: 'silver', min: 1 }, { count: 'bronze', min: 1 }] }
   },
   {
     id: 'silver_specialist',
@@ -66,7 +80,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3+ silvermedaljer - alltid nära',
     category: 'medals',
     rarity: 'rare',
-    points: 20
+    points: 20,
+    rule: { count: 'silver', min: 3 }
   },
   {
     id: 'bronze_collector',
@@ -75,7 +90,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3+ bronsmedaljer',
     category: 'medals',
     rarity: 'common',
-    points: 15
+    points: 15,
+    rule: { count: 'bronze', min: 3 }
   },
   {
     id: 'full_house',
@@ -84,7 +100,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Har tagit guld, silver och brons vid olika år',
     category: 'medals',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { all: [{ count: 'win', min: 1 }, { count: 'silver', min: 1 }, { count: 'bronze', min: 1 }] }
   },
   {
     id: 'triple_crown_medals',
@@ -93,7 +110,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Tre förstaplatser totalt',
     category: 'medals',
     rarity: 'epic',
-    points: 60
+    points: 60,
+    rule: { count: 'win', min: 3 }
   },
   {
     id: 'podium_regular',
@@ -102,7 +120,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Topp 3 totalt fem olika år',
     category: 'medals',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { count: 'podium', min: 5 }
   },
   {
     id: 'rising_star',
@@ -111,7 +130,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Tre år i rad bättre placering och avslutar med medalj',
     category: 'medals',
     rarity: 'epic',
-    points: 55
+    points: 55,
+    rule: { streak: 'improved', min: 3, endsWith: 'podium' }
   },
   {
     id: 'silver_streak',
@@ -120,7 +140,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Två år i rad som tvåa',
     category: 'medals',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { streak: 'silver', min: 2 }
   },
 
   // ===== STREAK ACHIEVEMENTS =====
@@ -131,7 +152,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3 år i rad som vinnare',
     category: 'streaks',
     rarity: 'legendary',
-    points: 200
+    points: 200,
+    rule: { streak: 'win', min: 3 }
   },
   {
     id: 'win_streak_2',
@@ -140,7 +162,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '2 år i rad som vinnare',
     category: 'streaks',
     rarity: 'epic',
-    points: 75
+    points: 75,
+    rule: { streak: 'win', min: 2 }
   },
   {
     id: 'podium_streak_5',
@@ -149,7 +172,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '5 år i rad på pallen',
     category: 'streaks',
     rarity: 'epic',
-    points: 80
+    points: 80,
+    rule: { streak: 'podium', min: 5 }
   },
   {
     id: 'podium_streak_3',
@@ -158,7 +182,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3 år i rad på pallen',
     category: 'streaks',
     rarity: 'rare',
-    points: 40
+    points: 40,
+    rule: { streak: 'podium', min: 3 }
   },
   {
     id: 'never_missed',
@@ -167,7 +192,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Aldrig missat en årlig tävling',
     category: 'streaks',
     rarity: 'legendary',
-    points: 120
+    points: 120,
+    rule: { all: [{ stat: 'editionsBeforeDebut', max: 0 }, { stat: 'missed', max: 0 }] }
   },
   {
     id: 'comeback_kid',
@@ -176,7 +202,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vinn efter 3+ år utan vinst',
     category: 'streaks',
     rarity: 'epic',
-    points: 60
+    points: 60,
+    rule: { gap: 'win', min: 3 }
   },
   {
     id: 'losing_streak',
@@ -185,7 +212,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '3+ år i rad utanför pallen',
     category: 'streaks',
     rarity: 'common',
-    points: 5
+    points: 5,
+    rule: { streak: 'offPodium', min: 3 }
   },
   {
     id: 'consistent_competitor',
@@ -194,7 +222,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Topp 10 fem år i rad',
     category: 'streaks',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { streak: { top: 10 }, min: 5 }
   },
   {
     id: 'comeback_top3',
@@ -203,7 +232,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Utanför topp 10 ett år, tillbaka på pallen nästa',
     category: 'streaks',
     rarity: 'epic',
-    points: 60
+    points: 60,
+    rule: { sequence: [{ from: 11 }, 'podium'] }
   },
   {
     id: 'slow_burner',
@@ -212,7 +242,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Förbättrat placeringen fyra år i rad',
     category: 'streaks',
     rarity: 'epic',
-    points: 65
+    points: 65,
+    rule: { streak: 'improved', min: 4 }
   },
   {
     id: 'iron_competitor',
@@ -221,7 +252,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Deltagit tio år i rad utan avbrott',
     category: 'streaks',
     rarity: 'legendary',
-    points: 120
+    points: 120,
+    rule: { streak: 'start', min: 10 }
   },
 
   // ===== SPECIAL ACHIEVEMENTS =====
@@ -232,7 +264,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Deltagit varje år sedan start',
     category: 'special',
     rarity: 'mythic',
-    points: 300
+    points: 300,
+    rule: { all: [{ stat: 'editionsBeforeDebut', max: 0 }, { stat: 'missed', max: 0 }] }
   },
   {
     id: 'decade_champion',
@@ -241,7 +274,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Flest vinster senaste 10 åren',
     category: 'special',
     rarity: 'legendary',
-    points: 180
+    points: 180,
+    rule: { most: 'gold', since: 10, min: 3 },
+    title: true
   },
   {
     id: 'host_hero',
@@ -250,7 +285,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Arrangerat flest tävlingar',
     category: 'special',
     rarity: 'epic',
-    points: 90
+    points: 90,
+    rule: { most: 'hosted' },
+    title: true
   },
   {
     id: 'arranger_bronze',
@@ -259,7 +296,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Arrangerar när man kom trea',
     category: 'special',
     rarity: 'rare',
-    points: 35
+    points: 35,
+    rule: { count: 'hostThird', min: 1 }
   },
   {
     id: 'arranger_revenge',
@@ -268,7 +306,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vann året efter att ha arrangerat',
     category: 'special',
     rarity: 'epic',
-    points: 70
+    points: 70,
+    rule: { sequence: ['hosted', 'win'] }
   },
   {
     id: 'veteran',
@@ -277,7 +316,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Deltagit i 10+ årliga tävlingar',
     category: 'special',
     rarity: 'rare',
-    points: 45
+    points: 45,
+    rule: { stat: 'starts', min: 10 }
   },
   {
     id: 'rookie_winner',
@@ -286,7 +326,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vann inom sina första 3 år',
     category: 'special',
     rarity: 'epic',
-    points: 85
+    points: 85,
+    rule: { count: 'win', within: 3, min: 1 }
   },
   {
     id: 'family_rivalry',
@@ -295,7 +336,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Slagit sin familjemedlem 5+ gånger',
     category: 'special',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { pattern: 'familyWins', min: 5 }
   },
   {
     id: 'rookie_sensation',
@@ -304,7 +346,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Topp 5 på första försöket',
     category: 'special',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { at: 'debut', is: { top: 5 } }
   },
   {
     id: 'late_bloomer',
@@ -313,7 +356,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Första medaljen efter minst fem år',
     category: 'special',
     rarity: 'epic',
-    points: 50
+    points: 50,
+    rule: { count: 'start', before: 'podium', min: 5 }
   },
   {
     id: 'dark_horse',
@@ -322,7 +366,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Från utanför topp 20 till topp 3 på ett år',
     category: 'special',
     rarity: 'legendary',
-    points: 150
+    points: 150,
+    rule: { sequence: [{ from: 21 }, 'podium'] }
   },
   {
     id: 'tiebreaker',
@@ -331,7 +376,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Delat placering med annan spelare',
     category: 'special',
     rarity: 'common',
-    points: 10
+    points: 10,
+    rule: { count: 'shared', min: 1 }
   },
   {
     id: 'passing_torch',
@@ -340,7 +386,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Familjemedlemmar topp 10 i följd',
     category: 'special',
     rarity: 'rare',
-    points: 35
+    points: 35,
+    rule: { pattern: 'passingTorch' }
   },
 
   // ===== FUN & FUNNY ACHIEVEMENTS =====
@@ -351,7 +398,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Gick från 1:a till sist på ett år',
     category: 'fun',
     rarity: 'legendary',
-    points: 50
+    points: 50,
+    rule: { sequence: ['win', 'last'] }
   },
   {
     id: 'grass_to_grace',
@@ -360,7 +408,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Gick från sist till 1:a på ett år',
     category: 'fun',
     rarity: 'mythic',
-    points: 250
+    points: 250,
+    rule: { sequence: ['last', 'win'] }
   },
   {
     id: 'elevator',
@@ -369,7 +418,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Upp och ner minst 5 placeringar varje år',
     category: 'fun',
     rarity: 'epic',
-    points: 40
+    points: 40,
+    rule: { every: 'swing', starts: 3 }
   },
   {
     id: 'mr_average',
@@ -378,7 +428,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Alltid placerad mitt i fältet (±1)',
     category: 'fun',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { all: [{ count: 'middle', min: 3 }, { share: 'middle', min: 0.6 }] }
   },
   {
     id: 'fourth_place',
@@ -387,7 +438,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Kom 4:a minst 3 gånger - så nära!',
     category: 'fun',
     rarity: 'rare',
-    points: 20
+    points: 20,
+    rule: { count: 4, min: 3 }
   },
   {
     id: 'lucky_seven',
@@ -396,7 +448,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Kom 7:a minst 3 gånger',
     category: 'fun',
     rarity: 'rare',
-    points: 15
+    points: 15,
+    rule: { count: 7, min: 3 }
   },
   {
     id: 'bridesmaid',
@@ -405,7 +458,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '5+ silvermedaljer utan guld',
     category: 'fun',
     rarity: 'epic',
-    points: 35
+    points: 35,
+    rule: { all: [{ count: 'silver', min: 5 }, { count: 'win', max: 0 }] }
   },
   {
     id: 'participation_trophy',
@@ -414,7 +468,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: '10+ år utan pallplats - äran att delta!',
     category: 'fun',
     rarity: 'common',
-    points: 10
+    points: 10,
+    rule: { every: 'offPodium', starts: 10 }
   },
   {
     id: 'sandwich',
@@ -423,7 +478,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Klämd mellan samma två personer 3+ år',
     category: 'fun',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { pattern: 'sandwich', min: 3 }
   },
   {
     id: 'yo_yo',
@@ -432,7 +488,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Varannat år på pallen, varannat år utanför',
     category: 'fun',
     rarity: 'epic',
-    points: 45
+    points: 45,
+    rule: { every: 'flipped', starts: 4 }
   },
   {
     id: 'consistent_chaos',
@@ -441,7 +498,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Aldrig samma placering två år i rad',
     category: 'fun',
     rarity: 'rare',
-    points: 35
+    points: 35,
+    rule: { count: 'same', max: 0, starts: 5 }
   },
   {
     id: 'nemesis',
@@ -450,7 +508,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Placerat direkt efter samma person 4+ år',
     category: 'fun',
     rarity: 'epic',
-    points: 40
+    points: 40,
+    rule: { pattern: 'nemesis', min: 4 }
   },
   {
     id: 'gatekeeper',
@@ -459,7 +518,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Alltid precis utanför pallen (4-5:a)',
     category: 'fun',
     rarity: 'common',
-    points: 15
+    points: 15,
+    rule: { share: [4, 5], min: 0.6, starts: 5 }
   },
   {
     id: 'odd_even',
@@ -468,7 +528,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Udda placering udda år, jämn placering jämna år',
     category: 'fun',
     rarity: 'legendary',
-    points: 80
+    points: 80,
+    rule: { share: 'parity', min: 0.8, starts: 4 }
   },
   {
     id: 'same_spot',
@@ -477,7 +538,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Samma placering tre år i rad',
     category: 'fun',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { streak: 'same', min: 2 }
   },
   {
     id: 'edge_of_glory',
@@ -486,7 +548,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Två fjärdeplatser innan första medaljen',
     category: 'fun',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { count: 4, before: 'podium', min: 2 }
   },
   {
     id: 'runner_up_specialist',
@@ -495,7 +558,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Fyra silver utan guld',
     category: 'fun',
     rarity: 'epic',
-    points: 60
+    points: 60,
+    rule: { all: [{ count: 'silver', min: 4 }, { count: 'win', max: 0 }] }
   },
   {
     id: 'bounced_back',
@@ -504,7 +568,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Från sista plats till mitten året efter',
     category: 'fun',
     rarity: 'rare',
-    points: 30
+    points: 30,
+    rule: { sequence: ['last', 'middle'] }
   },
   {
     id: 'lucky_seven_anniversary',
@@ -513,7 +578,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Sjua exakt sju år efter debut',
     category: 'fun',
     rarity: 'rare',
-    points: 25
+    points: 25,
+    rule: { at: { debutPlus: 7 }, is: 7 }
   },
 
   // ===== LEGENDARY ACHIEVEMENTS =====
@@ -524,7 +590,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Flest vinster genom tiderna',
     category: 'legendary',
     rarity: 'mythic',
-    points: 500
+    points: 500,
+    rule: { most: 'gold', min: 5 },
+    title: true
   },
   {
     id: 'dynasty',
@@ -533,7 +601,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Dominerat ett helt decennium',
     category: 'legendary',
     rarity: 'legendary',
-    points: 400
+    points: 400,
+    rule: { most: 'gold', in: 'decade', min: 3 },
+    title: true
   },
   {
     id: 'phoenix',
@@ -542,7 +612,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vann efter att ha kommit sist året innan',
     category: 'legendary',
     rarity: 'legendary',
-    points: 200
+    points: 200,
+    rule: { sequence: ['last', 'win'] }
   },
   {
     id: 'untouchable',
@@ -551,7 +622,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Aldrig placerat sämre än 3:a (5+ år)',
     category: 'legendary',
     rarity: 'mythic',
-    points: 350
+    points: 350,
+    rule: { every: 'podium', starts: 5 }
   },
   {
     id: 'triple_crown',
@@ -560,7 +632,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vunnit 3 olika decennier',
     category: 'legendary',
     rarity: 'mythic',
-    points: 600
+    points: 600,
+    rule: { distinct: 'decade', of: 'win', min: 3 }
   },
   {
     id: 'rivalry_winner',
@@ -569,7 +642,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vunnit flest head-to-heads totalt',
     category: 'legendary',
     rarity: 'legendary',
-    points: 300
+    points: 300,
+    rule: { most: 'duelWins' },
+    title: true
   },
   {
     id: 'decade_of_dominance',
@@ -578,7 +653,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Topp 3 tio år i rad',
     category: 'legendary',
     rarity: 'legendary',
-    points: 300
+    points: 300,
+    rule: { streak: 'podium', min: 10 }
   },
   {
     id: 'record_breaker',
@@ -587,7 +663,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Flest förstaplatser någonsin',
     category: 'legendary',
     rarity: 'mythic',
-    points: 400
+    points: 400,
+    rule: { most: 'gold' },
+    title: true
   },
   {
     id: 'pioneer',
@@ -596,7 +674,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vann första tävlingen och tävlar än 10 år senare',
     category: 'legendary',
     rarity: 'legendary',
-    points: 250
+    points: 250,
+    rule: { all: [{ at: 'first', is: 'win' }, { stat: 'careerYears', min: 10 }] }
   },
   {
     id: 'legacy_builder',
@@ -605,7 +684,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Pallen i tre olika decennier',
     category: 'legendary',
     rarity: 'legendary',
-    points: 260
+    points: 260,
+    rule: { distinct: 'decade', of: 'podium', min: 3 }
   },
   {
     id: 'two_time_champion',
@@ -614,7 +694,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vinner igen efter minst fem års uppehåll',
     category: 'legendary',
     rarity: 'legendary',
-    points: 180
+    points: 180,
+    rule: { gap: 'win', min: 5 }
   },
 
   // ===== MYTHIC ACHIEVEMENTS =====
@@ -625,7 +706,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Med sedan första året 2011',
     category: 'mythic',
     rarity: 'mythic',
-    points: 1000
+    points: 1000,
+    rule: { at: 'first', is: 'start' }
   },
   {
     id: 'mr_consistent',
@@ -634,7 +716,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Lägst standardavvikelse i placeringar (10+ år)',
     category: 'mythic',
     rarity: 'mythic',
-    points: 400
+    points: 400,
+    rule: { fewest: 'spread', starts: 10 },
+    title: true
   },
   {
     id: 'grand_master',
@@ -643,7 +727,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vunnit minst 7 olika årliga tävlingar',
     category: 'mythic',
     rarity: 'mythic',
-    points: 750
+    points: 750,
+    rule: { count: 'win', min: 7 }
   },
   {
     id: 'perfect_podium',
@@ -652,7 +737,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Aldrig utanför pallen (minst 8 år)',
     category: 'mythic',
     rarity: 'mythic',
-    points: 800
+    points: 800,
+    rule: { every: 'podium', starts: 8 }
   },
   {
     id: 'the_closer',
@@ -661,7 +747,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vunnit senaste 3 tävlingarna',
     category: 'mythic',
     rarity: 'mythic',
-    points: 500
+    points: 500,
+    rule: { streak: 'win', min: 3, current: true },
+    title: true
   },
   {
     id: 'immortal_champion',
@@ -670,7 +758,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vinner varje gång man deltar (minst 3 ggr)',
     category: 'mythic',
     rarity: 'mythic',
-    points: 700
+    points: 700,
+    rule: { every: 'win', starts: 3 }
   },
   {
     id: 'first_place_five',
@@ -679,7 +768,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Förstaplats fem år i rad',
     category: 'mythic',
     rarity: 'mythic',
-    points: 900
+    points: 900,
+    rule: { streak: 'win', min: 5 }
   },
   {
     id: 'timeless_wonder',
@@ -688,7 +778,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Topp 10 i femton olika år',
     category: 'mythic',
     rarity: 'mythic',
-    points: 600
+    points: 600,
+    rule: { count: { top: 10 }, min: 15 }
   },
   {
     id: 'mythic_comeback',
@@ -697,7 +788,8 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Vinner igen efter tio år utan seger',
     category: 'mythic',
     rarity: 'mythic',
-    points: 650
+    points: 650,
+    rule: { gap: 'win', min: 10 }
   },
   {
     id: 'era_definer',
@@ -706,7 +798,9 @@ const ACHIEVEMENT_DEFINITIONS = [
     desc: 'Fler titlar än någon annan genom historien',
     category: 'mythic',
     rarity: 'mythic',
-    points: 800
+    points: 800,
+    rule: { most: 'gold', unique: true },
+    title: true
   }
 ];
 
@@ -788,7 +882,7 @@ const ACHIEVEMENT_RARITIES = {
 // Achievement validation rules
 const ACHIEVEMENT_VALIDATION = {
   // Required fields for each achievement
-  requiredFields: ['id', 'icon', 'name', 'desc', 'category', 'rarity'],
+  requiredFields: ['id', 'icon', 'name', 'desc', 'category', 'rarity', 'rule'],
 
   // Valid categories
   validCategories: Object.keys(ACHIEVEMENT_CATEGORIES).filter(cat => cat !== 'all'),
@@ -910,8 +1004,9 @@ const AchievementHelpers = {
   }
 };
 
-// Export for global access
-window.ACHIEVEMENT_DEFINITIONS = ACHIEVEMENT_DEFINITIONS;
-window.ACHIEVEMENT_CATEGORIES = ACHIEVEMENT_CATEGORIES;
-window.ACHIEVEMENT_RARITIES = ACHIEVEMENT_RARITIES;
-window.AchievementHelpers = AchievementHelpers;
+// Export for global access — globalThis, because the build-time achievement
+// check loads this file in Node as well
+globalThis.ACHIEVEMENT_DEFINITIONS = ACHIEVEMENT_DEFINITIONS;
+globalThis.ACHIEVEMENT_CATEGORIES = ACHIEVEMENT_CATEGORIES;
+globalThis.ACHIEVEMENT_RARITIES = ACHIEVEMENT_RARITIES;
+globalThis.AchievementHelpers = AchievementHelpers;
@@ -0,0 +1,27 @@
+/**
+ * Map coordinates for every `Plats` in competition-data.csv.
+ * A location missing here gets no pin on the map, and the data validator
+ * flags it — add a line when the competition goes somewhere new.
+ */
+
+const LOCATION_COORDS = {
+  Varggropen: [63.2968, 18.7424],
+  Kroksta: [63.3179, 18.6751],
+  Billsta: [63.326, 18.5128],
+  Idbyn: [63.2423, 18.675],
+  Lomsjön: [63.3338, 18.6647],
+  Kungsholmen: [59.3359, 18.0123],
+  Bredbyn: [63.4447, 18.1064],
+  Ås: [63.2963, 18.6995],
+  Arnäsvall: [63.322, 18.816],
+  Stockholm: [59.3556, 18.0993],
+  Själevad: [63.2888, 18.5974],
+  'Eskilstuna/Västerås': [59.6008, 16.5992],
+  Uppsala: [59.8586, 17.6389],
+  Barcelona: [41.3874, 2.1686],
+  'Barcelona, Spanien': [41.3874, 2.1686]
+};
+
+// Export for global access — globalThis, because the build-time data check
+// loads this file in Node as well
+globalThis.LOCATION_COORDS = LOCATION_COORDS;
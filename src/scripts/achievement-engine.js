@@ -1,803 +1,658 @@
 /**
  * Achievement Engine - Calculates participant achievements
+ *
+ * Every definition in src/data/achievements.js carries a `rule`, a small
+ * declarative description of what unlocks it. The engine knows how to
+ * evaluate each kind of rule for any definition, so adding an achievement
+ * is one entry in the data file. A definition without a rule the engine can
+ * evaluate is an error: the engine refuses to start, and the build fails.
+ *
+ * A definition with `title: true` is held only while its rule is met;
+ * calculateTitleLineage tracks who has held it, one unbroken spell at a time.
+ *
+ * Rules (any rule can also take `starts: n`, a minimum number of starts):
+ *
+ *   { stat: 'medals', min: 10 }             a career number, see STATS
+ *   { count: 'silver', min: 3 }             starts with that placing
+ *     within: 3                             …among the first three starts
+ *     before: 'podium'                      …before the first podium
+ *   { share: [4, 5], min: 0.6 }             share of starts with that placing
+ *   { every: 'podium' }                     every start
+ *   { streak: 'win', min: 3 }               editions in a row
+ *     current: true                         …running into the latest edition
+ *     endsWith: 'podium'                    …and ending on that placing
+ *   { sequence: ['last', 'win'] }           consecutive editions, in order
+ *   { at: 'debut', is: { top: 5 } }         one edition: 'first' (of all),
+ *                                           'debut' or { debutPlus: 7 }
+ *   { gap: 'win', min: 5 }                  years between two such starts
+ *   { distinct: 'decade', of: 'win', min: 3 }
+ *   { most: 'gold' }                        highest of everyone (ties share it)
+ *     unique: true                          …alone at the top
+ *     since: 10                             …over the last ten years
+ *     in: 'decade'                          …in any one decade
+ *   { fewest: 'spread', starts: 10 }        lowest of everyone
+ *   { pattern: 'nemesis', min: 4 }          see PATTERNS
+ *   { all: [...] }, { any: [...] }, { not: {...} }
+ *
+ * Placings: a position (4), positions ([4, 5]), { top: 10 }, { from: 11 }
+ * or a name from PLACINGS. The relative ones (improved, same, flipped,
+ * swing) compare with the edition before and need a start in both.
  */
-
-class AchievementEngine {
-  constructor() {
-    this.achievements = window.ACHIEVEMENT_DEFINITIONS || [];
-    this.cache = new Map();
-    this.calculationStats = {
-      totalCalculations: 0,
-      cacheHits: 0,
-      calculationTime: 0
-    };
-  }
-
-  /**
-   * Calculate all achievements for all participants
-   */
-  calculateAllAchievements(competitions, participants) {
-    const startTime = performance.now();
-    console.log('🏆 Calculating achievements...');
-
-    const participantAchievements = {};
-
-    // Initialize achievements for all participants
-    participants.forEach(participant => {
-      participantAchievements[participant.name] = [];
-    });
-
-    // Calculate achievements for each participant
-    participants.forEach(participant => {
-      const achievements = this.calculateParticipantAchievements(
-        participant,
-        competitions,
-        participants
+(function () {
+  'use strict';
+
+  /** Named placings, tested against one edition of someone's career. */
+  const PLACINGS = {
+    start: r => r.pos != null,
+    win: r => r.pos === 1,
+    silver: r => r.pos === 2,
+    bronze: r => r.pos === 3,
+    podium: r => r.pos != null && r.pos <= 3,
+    offPodium: r => r.pos != null && r.pos > 3,
+    last: r => r.pos != null && r.pos === r.lastPos,
+    middle: r => r.pos != null && Math.abs(r.pos - Math.ceil(r.size / 2)) <= 1,
+    shared: r => r.shared,
+    parity: r => r.pos != null && r.pos % 2 === r.year % 2,
+    hosted: r => r.hosted,
+    hostThird: r => r.hostThird,
+    improved: r => r.pos != null && r.prevPos != null && r.pos < r.prevPos,
+    same: r => r.pos != null && r.pos === r.prevPos,
+    flipped: r => r.pos != null && r.prevPos != null && (r.pos <= 3) !== (r.prevPos <= 3),
+    swing: r => r.pos != null && r.prevPos != null && Math.abs(r.pos - r.prevPos) >= 5
+  };
+
+  const RELATIVE_PLACINGS = ['improved', 'same', 'flipped', 'swing'];
+
+  /** Career numbers for `stat`, `most` and `fewest`. */
+  const STATS = [
+    'starts', 'gold', 'silver', 'bronze', 'medals', 'hosted', 'shared', 'spread',
+    'missed', 'editionsBeforeDebut', 'careerYears', 'duelWins'
+  ];
+
+  /**
+   * Patterns about other people, too specific for the general rules. Each
+   * gets the career, the rule and the context ({ editions, participants }).
+   */
+  const PATTERNS = {
+    /** Finished directly behind the same person at least `min` times. */
+    nemesis(career, rule) {
+      const behind = {};
+      career.starts.forEach(r => {
+        Object.entries(r.comp.scores)
+          .filter(([, pos]) => pos === r.pos - 1)
+          .forEach(([id]) => (behind[id] = (behind[id] || 0) + 1));
+      });
+      return Math.max(0, ...Object.values(behind)) >= rule.min;
+    },
+
+    /** Squeezed between the same two people at least `min` times. */
+    sandwich(career, rule) {
+      const between = {};
+      career.starts.forEach(r => {
+        const at = pos => Object.keys(r.comp.scores).filter(id => r.comp.scores[id] === pos);
+        const [above, below] = [at(r.pos - 1), at(r.pos + 1)];
+        if (above.length !== 1 || below.length !== 1) return;
+        const key = `${above[0]}|${below[0]}`;
+        between[key] = (between[key] || 0) + 1;
+      });
+      return Math.max(0, ...Object.values(between)) >= rule.min;
+    },
+
+    /** Placed ahead of family members (same surname) at least `min` times in all. */
+    familyWins(career, rule, ctx) {
+      const family = relatives(career.participant, ctx.participants);
+      const wins = career.starts.reduce(
+        (sum, r) => sum + family.filter(p => r.comp.scores[p.id] && r.pos < r.comp.scores[p.id]).length,
+        0
       );
-      participantAchievements[participant.name] = achievements;
-      this.calculationStats.totalCalculations++;
-    });
-
-    // Calculate comparative achievements (achievements that depend on comparison with others)
-    this.calculateComparativeAchievements(participantAchievements, competitions, participants);
-
-    const endTime = performance.now();
-    this.calculationStats.calculationTime = endTime - startTime;
-
-    console.log(`✅ Achievement calculation complete in ${this.calculationStats.calculationTime.toFixed(2)}ms`);
-    console.log(`📊 Calculated achievements for ${participants.length} participants`);
-
-    return participantAchievements;
-  }
-
-  /**
-   * Calculate achievements for a single participant
-   */
-  calculateParticipantAchievements(participant, competitions, participants) {
-    const cacheKey = `${participant.id}-${competitions.length}`;
-
-    if (this.cache.has(cacheKey)) {
-      this.calculationStats.cacheHits++;
-      return this.cache.get(cacheKey);
+      return wins >= rule.min;
+    },
+
+    /** Top 10 the edition after a family member was top 10. */
+    passingTorch(career, _rule, ctx) {
+      const family = relatives(career.participant, ctx.participants);
+      return career.records.some((r, i) => {
+        const before = career.records[i - 1];
+        return before && r.pos != null && r.pos <= 10 &&
+          family.some(p => before.comp.scores[p.id] && before.comp.scores[p.id] <= 10);
+      });
     }
+  };
 
-    const achievements = [];
-    const stats = this.calculateParticipantStats(participant, competitions, participants);
-
-    // Medal Achievements
-    achievements.push(...this.checkMedalAchievements(stats));
-
-    // Streak Achievements
-    achievements.push(...this.checkStreakAchievements(stats, competitions, participant));
-
-    // Special Achievements
-    achievements.push(...this.checkSpecialAchievements(stats, competitions, participant));
-
-    // Fun Achievements
-    achievements.push(...this.checkFunAchievements(stats, competitions, participant));
-
-    // Cache the result
-    this.cache.set(cacheKey, achievements);
-
-    return achievements;
+  /** Everyone else with the same surname. */
+  function relatives(participant, participants) {
+    const surname = participant.name.split(' ').pop();
+    return participants.filter(p => p.id !== participant.id && p.name.split(' ').pop() === surname);
   }
 
-  /**
-   * Calculate comprehensive stats for a participant
-   */
-  calculateParticipantStats(participant, competitions, _participants) {
-    const stats = {
-      participations: 0,
-      gold: 0,
-      silver: 0,
-      bronze: 0,
-      totalMedals: 0,
-      positions: [],
-      yearPositions: {},
-      yearsParticipated: [],
-      winYears: [],
-      podiumYears: [],
-      competitions: [],
-      arrangementCount: 0
-    };
-
-    const sortedComps = [...competitions].sort((a, b) => a.year - b.year);
-
-    sortedComps.forEach(comp => {
-      const position = comp.scores[participant.id];
-
-      if (position) {
-        stats.participations++;
-        stats.positions.push(position);
-        stats.yearPositions[comp.year] = position;
-        stats.yearsParticipated.push(comp.year);
-        stats.competitions.push(comp);
-
-        // Medal counting
-        if (position === 1) {
-          stats.gold++;
-          stats.totalMedals++;
-          stats.winYears.push(comp.year);
-          stats.podiumYears.push(comp.year);
-        } else if (position === 2) {
-          stats.silver++;
-          stats.totalMedals++;
-          stats.podiumYears.push(comp.year);
-        } else if (position === 3) {
-          stats.bronze++;
-          stats.totalMedals++;
-          stats.podiumYears.push(comp.year);
-        }
-      }
-
-      // Check if participant arranged this competition
-      if (comp.arranger3rd === participant.name || comp.arrangerSecondLast === participant.name) {
-        stats.arrangementCount++;
-      }
-    });
-
-    // Calculate additional statistics
-    stats.avgPosition = stats.positions.length > 0 ?
-      stats.positions.reduce((a, b) => a + b, 0) / stats.positions.length : 0;
-
-    stats.standardDeviation = this.calculateStandardDeviation(stats.positions);
-
-    stats.bestPosition = stats.positions.length > 0 ? Math.min(...stats.positions) : null;
-    stats.worstPosition = stats.positions.length > 0 ? Math.max(...stats.positions) : null;
-
-    return stats;
+  /** Within the rule's `min` and `max`, where given. */
+  function inRange(value, rule) {
+    return (rule.min == null || value >= rule.min) && (rule.max == null || value <= rule.max);
   }
 
-  /**
-   * Check medal-based achievements
-   */
-  checkMedalAchievements(stats) {
-    const achievements = [];
-
-    // First win
-    if (stats.gold >= 1) {
-      achievements.push('first_win');
-    }
-
-    // Gold achievements
-    if (stats.gold >= 5) {
-      achievements.push('gold_king');
-    } else if (stats.gold >= 3) {
-      achievements.push('gold_collector');
-    }
-
-    // Silver achievements
-    if (stats.silver >= 3) {
-      achievements.push('silver_specialist');
-    }
-
-    // Bronze achievements
-    if (stats.bronze >= 3) {
-      achievements.push('bronze_collector');
-    }
-
-    // Medal collection achievements
-    if (stats.totalMedals >= 10) {
-      achievements.push('medal_magnet');
-    }
-
-    // Rainbow medals (at least one of each)
-    if (stats.gold > 0 && stats.silver > 0 && stats.bronze > 0) {
-      achievements.push('rainbow_medals');
-    }
-
-    // Bridesmaid (many silvers without gold)
-    if (stats.silver >= 5 && stats.gold === 0) {
-      achievements.push('bridesmaid');
-    }
-
-    return achievements;
+  /** Does one edition of a career match a placing? */
+  function matches(placing, r) {
+    if (typeof placing === 'number') return r.pos === placing;
+    if (Array.isArray(placing)) return placing.includes(r.pos);
+    if (typeof placing === 'string') return PLACINGS[placing](r);
+    if (placing.top != null) return r.pos != null && r.pos <= placing.top;
+    return r.pos != null && r.pos >= placing.from;
   }
 
-  /**
-   * Check streak-based achievements
-   */
-  checkStreakAchievements(stats, competitions, _participant) {
-    const achievements = [];
-
-    // Win streaks
-    const winStreak = this.calculateMaxStreak(stats.winYears);
-    if (winStreak >= 3) {
-      achievements.push('win_streak_3');
-    } else if (winStreak >= 2) {
-      achievements.push('win_streak_2');
-    }
-
-    // Podium streaks
-    const podiumStreak = this.calculateMaxStreak(stats.podiumYears);
-    if (podiumStreak >= 5) {
-      achievements.push('podium_streak_5');
-    } else if (podiumStreak >= 3) {
-      achievements.push('podium_streak_3');
-    }
-
-    // Perfect attendance
-    const totalCompetitions = competitions.filter(c => c.name !== 'Covid').length;
-    if (stats.participations === totalCompetitions) {
-      achievements.push('never_missed');
-      achievements.push('perfect_attendance');
-    }
-
-    // Comeback kid (win after long gap)
-    if (this.checkComebackPattern(stats.winYears)) {
-      achievements.push('comeback_kid');
-    }
-
-    // Losing streak
-    if (this.checkLosingStreak(stats, competitions)) {
-      achievements.push('losing_streak');
-    }
-
-    return achievements;
+  function isPlacing(placing) {
+    if (typeof placing === 'number') return Number.isInteger(placing) && placing > 0;
+    if (Array.isArray(placing)) return placing.length > 0 && placing.every(isPlacing);
+    if (typeof placing === 'string') return Object.prototype.hasOwnProperty.call(PLACINGS, placing);
+    return !!placing && typeof placing === 'object' && Object.keys(placing).length === 1 &&
+      (Number.isInteger(placing.top) || Number.isInteger(placing.from));
   }
 
-  /**
-   * Check special achievements
-   */
-  checkSpecialAchievements(stats, _competitions, _participant) {
-    const achievements = [];
-
-    // Veteran
-    if (stats.participations >= 10) {
-      achievements.push('veteran');
-    }
-
-    // Founding father
-    if (stats.yearsParticipated.includes(2011)) {
-      achievements.push('founding_father');
-    }
-
-    // Rookie winner
-    if (stats.gold > 0 && stats.yearsParticipated.length <= 3) {
-      achievements.push('rookie_winner');
-    }
-
-    // Participation trophy
-    if (stats.participations >= 10 && stats.totalMedals === 0) {
-      achievements.push('participation_trophy');
-    }
-
-    // Arranger achievements
-    if (stats.arrangementCount >= 1) {
-      achievements.push('arranger_bronze');
-    }
-
-    // Untouchable (never worse than 3rd with 5+ participations)
-    if (stats.participations >= 5 && stats.positions.every(p => p <= 3)) {
-      achievements.push('untouchable');
-    }
+  const isCount = n => Number.isFinite(n) && n >= 0;
 
-    // Perfect podium (8+ years always on podium)
-    if (stats.participations >= 8 && stats.positions.every(p => p <= 3)) {
-      achievements.push('perfect_podium');
-    }
+  /** Stats that never go down as editions are added. */
+  const GROWING_STATS = [
+    'starts', 'gold', 'silver', 'bronze', 'medals', 'hosted', 'shared', 'missed',
+    'editionsBeforeDebut', 'careerYears', 'duelWins'
+  ];
 
-    return achievements;
-  }
+  /** Kinds that, with only a `min`, stay met once met: they count things that never un-happen. */
+  const LASTING_KINDS = ['count', 'streak', 'sequence', 'at', 'gap', 'distinct', 'pattern'];
 
   /**
-   * Check fun/humorous achievements
+   * Whether a rule, once met, stays met whatever later editions bring. Any
+   * `max`, a share, an `every`, a `not`, a comparison with everyone else or a
+   * streak that has to be running can all become false again.
    */
-  checkFunAchievements(stats, competitions, participant) {
-    const achievements = [];
-
-    // Position-based fun achievements
-    const positionCounts = this.countPositions(stats.positions);
-
-    // Fourth place curse
-    if (positionCounts[4] >= 3) {
-      achievements.push('fourth_place');
-    }
-
-    // Lucky seven
-    if (positionCounts[7] >= 3) {
-      achievements.push('lucky_seven');
-    }
-
-    // Mr Average (consistently middle positions)
-    if (this.checkMiddlePositionPattern(stats, competitions)) {
-      achievements.push('mr_average');
-    }
-
-    // Gatekeeper (always 4th or 5th)
-    if (this.checkGatekeeperPattern(stats.positions)) {
-      achievements.push('gatekeeper');
-    }
-
-    // Pattern-based achievements
-    if (this.checkGraceToGrassPattern(stats.positions, competitions, participant)) {
-      achievements.push('grace_to_grass');
-    }
-
-    if (this.checkGrassToGracePattern(stats.positions, competitions, participant)) {
-      achievements.push('grass_to_grace');
-      achievements.push('phoenix');
-    }
-
-    if (this.checkElevatorPattern(stats.positions)) {
-      achievements.push('elevator');
-    }
-
-    if (this.checkYoYoPattern(stats.positions)) {
-      achievements.push('yo_yo');
-    }
-
-    if (this.checkConsistentChaosPattern(stats.positions)) {
-      achievements.push('consistent_chaos');
-    }
-
-    if (this.checkOddEvenPattern(stats.yearPositions)) {
-      achievements.push('odd_even');
-    }
-
-    // Sandwich achievement
-    if (this.checkSandwichPattern(stats, competitions, participant)) {
-      achievements.push('sandwich');
-    }
-
-    return achievements;
+  function isLasting(rule) {
+    if (rule.max != null || rule.current) return false;
+    if (rule.all) return rule.all.every(isLasting);
+    if (rule.any) return rule.any.every(isLasting);
+    if (rule.stat) return GROWING_STATS.includes(rule.stat);
+    return LASTING_KINDS.some(k => k in rule);
   }
 
   /**
-   * Calculate comparative achievements (requires comparison between all participants)
+   * Whether a rule depends only on the participant's own results. `most`,
+   * `fewest` and the patterns look at where everyone else placed too.
    */
-  calculateComparativeAchievements(participantAchievements, competitions, participants) {
-    // Medal hoarder (most total medals)
-    const medalCounts = this.calculateTotalMedalsForAll(participants, competitions);
-    const medalLeader = this.findLeader(medalCounts);
-    if (medalLeader) {
-      participantAchievements[medalLeader].push('medal_hoarder');
-    }
-
-    // GOAT (most wins)
-    const winCounts = this.calculateWinCountsForAll(participants, competitions);
-    const winLeader = this.findLeader(winCounts);
-    if (winLeader && winCounts[winLeader] >= 5) {
-      participantAchievements[winLeader].push('goat');
-    }
-
-    // Mr. Consistent (lowest standard deviation)
-    const consistencyStats = this.calculateConsistencyForAll(participants, competitions);
-    const mostConsistent = this.findMostConsistent(consistencyStats);
-    if (mostConsistent) {
-      participantAchievements[mostConsistent].push('mr_consistent');
-    }
-
-    // Decade champion
-    const decadeChampion = this.findDecadeChampion(participants, competitions);
-    if (decadeChampion) {
-      participantAchievements[decadeChampion].push('decade_champion');
-    }
-
-    // Host hero (most arrangements)
-    const hostCounts = this.calculateHostCounts(participants, competitions);
-    const hostLeader = this.findLeader(hostCounts);
-    if (hostLeader) {
-      participantAchievements[hostLeader].push('host_hero');
-    }
-
-    // The Closer (won last 3 competitions)
-    const closer = this.findTheCloser(participants, competitions);
-    if (closer) {
-      participantAchievements[closer].push('the_closer');
-    }
-
-    // Family rivalry
-    this.checkFamilyRivalries(participantAchievements, participants, competitions);
+  function isPersonal(rule) {
+    if (rule.all) return rule.all.every(isPersonal);
+    if (rule.any) return rule.any.every(isPersonal);
+    if (rule.not) return isPersonal(rule.not);
+    return !['most', 'fewest', 'pattern'].some(k => k in rule);
   }
 
-  // ===== HELPER METHODS =====
-
   /**
-   * Calculate maximum consecutive streak from array of years
+   * What each kind of rule needs to be evaluable. Returns a problem, or null.
    */
-  calculateMaxStreak(years) {
-    if (years.length === 0) return 0;
-
-    const sortedYears = [...years].sort((a, b) => a - b);
-    let maxStreak = 1;
-    let currentStreak = 1;
-
-    for (let i = 1; i < sortedYears.length; i++) {
-      if (sortedYears[i] === sortedYears[i - 1] + 1) {
-        currentStreak++;
-        maxStreak = Math.max(maxStreak, currentStreak);
-      } else {
-        currentStreak = 1;
-      }
-    }
+  const RULE_CHECKS = {
+    all: rule => (Array.isArray(rule.all) && rule.all.length ? firstProblem(rule.all) : '`all` behöver en lista med regler'),
+    any: rule => (Array.isArray(rule.any) && rule.any.length ? firstProblem(rule.any) : '`any` behöver en lista med regler'),
+    not: rule => checkRule(rule.not),
+    stat: rule => (STATS.includes(rule.stat) ? needsRange(rule) : `okänt mått "${rule.stat}"`),
+    count: rule =>
+      placingProblem(rule.count) || (rule.before != null && placingProblem(rule.before)) || needsRange(rule),
+    share: rule => placingProblem(rule.share) || (isCount(rule.min) ? null : '`share` behöver `min` (0–1)'),
+    every: rule => placingProblem(rule.every),
+    streak: rule =>
+      placingProblem(rule.streak) || (rule.endsWith != null && placingProblem(rule.endsWith)) ||
+      (isCount(rule.min) ? null : '`streak` behöver `min`'),
+    sequence: rule =>
+      (Array.isArray(rule.sequence) && rule.sequence.length ? firstPlacingProblem(rule.sequence) : '`sequence` behöver en lista med placeringar'),
+    at: rule =>
+      (['first', 'debut'].includes(rule.at) || Number.isInteger(rule.at && rule.at.debutPlus)
+        ? placingProblem(rule.is)
+        : '`at` ska vara "first", "debut" eller { debutPlus: n }'),
+    gap: rule => placingProblem(rule.gap) || (isCount(rule.min) ? null : '`gap` behöver `min`'),
+    distinct: rule =>
+      (rule.distinct === 'decade' ? placingProblem(rule.of) || needsRange(rule) : `okänd indelning "${rule.distinct}"`),
+    most: rule =>
+      (STATS.includes(rule.most) ? null : `okänt mått "${rule.most}"`) ||
+      (rule.in != null && rule.in !== 'decade' ? `okänd indelning "${rule.in}"` : null),
+    fewest: rule => (STATS.includes(rule.fewest) ? null : `okänt mått "${rule.fewest}"`),
+    pattern: rule => (PATTERNS[rule.pattern] ? null : `okänt mönster "${rule.pattern}"`)
+  };
 
-    return maxStreak;
+  function placingProblem(placing) {
+    return isPlacing(placing) ? null : `okänd placering ${JSON.stringify(placing)}`;
   }
 
-  /**
-   * Calculate standard deviation of positions
-   */
-  calculateStandardDeviation(positions) {
-    if (positions.length === 0) return 0;
-
-    const mean = positions.reduce((a, b) => a + b, 0) / positions.length;
-    const variance = positions.reduce((sum, pos) => sum + Math.pow(pos - mean, 2), 0) / positions.length;
-    return Math.sqrt(variance);
+  function firstPlacingProblem(placings) {
+    return placings.map(placingProblem).find(Boolean) || null;
   }
 
-  /**
-   * Count occurrences of each position
-   */
-  countPositions(positions) {
-    const counts = {};
-    positions.forEach(pos => {
-      counts[pos] = (counts[pos] || 0) + 1;
-    });
-    return counts;
+  function needsRange(rule) {
+    return isCount(rule.min) || isCount(rule.max) ? null : 'regeln behöver `min` eller `max`';
   }
 
-  /**
-   * Check comeback pattern (win after 3+ years without win)
-   */
-  checkComebackPattern(winYears) {
-    if (winYears.length < 2) return false;
-
-    const sortedWins = [...winYears].sort((a, b) => a - b);
-    for (let i = 1; i < sortedWins.length; i++) {
-      if (sortedWins[i] - sortedWins[i - 1] >= 3) {
-        return true;
-      }
-    }
-    return false;
+  function firstProblem(rules) {
+    return rules.map(checkRule).find(Boolean) || null;
   }
 
-  /**
-   * Check losing streak pattern
-   */
-  checkLosingStreak(stats, competitions) {
-    const lastThreeComps = competitions.slice(0, 3);
-    let consecutiveOffPodium = 0;
-
-    for (const comp of lastThreeComps) {
-      const position = comp.scores[stats.participantId];
-      if (position && position > 3) {
-        consecutiveOffPodium++;
-      } else {
-        break;
-      }
+  /** The problem with a rule, or null when the engine can evaluate it. */
+  function checkRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'regel saknas';
+    const kinds = Object.keys(RULE_CHECKS).filter(kind => kind in rule);
+    if (kinds.length !== 1) {
+      return kinds.length ? `regeln har flera sorter: ${kinds.join(', ')}` : 'regeln har ingen känd sort';
     }
-
-    return consecutiveOffPodium >= 3;
+    return RULE_CHECKS[kinds[0]](rule);
   }
 
   /**
-   * Check middle position pattern
+   * How each kind of rule is evaluated for one career. Same keys as
+   * RULE_CHECKS; `engine` is for the rules that recurse or compare.
    */
-  checkMiddlePositionPattern(stats, _competitions) {
-    let middleCount = 0;
+  const EVALUATE = {
+    all: (rule, career, ctx, engine) => rule.all.every(r => engine.test(r, career, ctx)),
+    any: (rule, career, ctx, engine) => rule.any.some(r => engine.test(r, career, ctx)),
+    not: (rule, career, ctx, engine) => !engine.test(rule.not, career, ctx),
+    stat: (rule, career) => inRange(career.stats[rule.stat], rule),
 
-    stats.competitions.forEach(comp => {
-      const totalParticipants = Object.keys(comp.scores).length;
-      const middle = Math.ceil(totalParticipants / 2);
-      const position = comp.scores[stats.participantId];
-
-      if (Math.abs(position - middle) <= 1) {
-        middleCount++;
+    count(rule, { records, starts }) {
+      let pool = records;
+      if (rule.within != null) pool = starts.slice(0, rule.within);
+      if (rule.before != null) {
+        const first = starts.findIndex(r => matches(rule.before, r));
+        if (first < 0) return false;
+        pool = starts.slice(0, first);
       }
-    });
-
-    return middleCount >= 3 && middleCount >= stats.participations * 0.6;
-  }
-
-  /**
-   * Check gatekeeper pattern (always 4th or 5th)
-   */
-  checkGatekeeperPattern(positions) {
-    if (positions.length < 5) return false;
-
-    const gatekeeperPositions = positions.filter(pos => pos === 4 || pos === 5);
-    return gatekeeperPositions.length >= positions.length * 0.6;
-  }
-
-  /**
-   * Check grace to grass pattern
-   */
-  checkGraceToGrassPattern(positions, competitions, _participant) {
-    for (let i = 1; i < positions.length; i++) {
-      const currentComp = competitions[i];
-
-      if (positions[i - 1] === 1 &&
-          positions[i] === Object.keys(currentComp.scores).length) {
-        return true;
+      return inRange(pool.filter(r => matches(rule.count, r)).length, rule);
+    },
+
+    share: (rule, { starts }) =>
+      starts.length > 0 && starts.filter(r => matches(rule.share, r)).length / starts.length >= rule.min,
+
+    every(rule, { starts }) {
+      const relative = RELATIVE_PLACINGS.includes(rule.every);
+      const pool = relative ? starts.filter(r => r.prevPos != null) : starts;
+      return pool.length > 0 && pool.every(r => matches(rule.every, r));
+    },
+
+    /**
+     * A run of editions matching the placing, as far as the rule asks:
+     * `current` only counts the run into the latest edition, `endsWith` only
+     * runs that end on that placing.
+     */
+    streak(rule, { records }) {
+      let run = 0;
+      return records.some((r, i) => {
+        run = matches(rule.streak, r) ? run + 1 : 0;
+        if (rule.current && i !== records.length - 1) return false;
+        return run >= rule.min && (rule.endsWith == null || matches(rule.endsWith, r));
+      });
+    },
+
+    sequence: (rule, { records }) =>
+      records.some((_, i) => rule.sequence.every((placing, k) => records[i + k] && matches(placing, records[i + k]))),
+
+    at(rule, { records, starts }) {
+      let target = null;
+      if (rule.at === 'first') target = records[0];
+      else if (rule.at === 'debut') target = starts[0];
+      else target = records.find(r => r.year === starts[0].year + rule.at.debutPlus);
+      return !!target && matches(rule.is, target);
+    },
+
+    gap(rule, { starts }) {
+      const years = starts.filter(r => matches(rule.gap, r)).map(r => r.year);
+      return years.some((y, i) => i > 0 && y - years[i - 1] >= rule.min);
+    },
+
+    distinct(rule, { starts }) {
+      const decades = new Set(starts.filter(r => matches(rule.of, r)).map(r => Math.floor(r.year / 10)));
+      return inRange(decades.size, rule);
+    },
+
+    most: (rule, career, ctx, engine) => engine.leaders(rule, ctx).has(career.participant.id),
+    fewest: (rule, career, ctx, engine) => engine.leaders(rule, ctx).has(career.participant.id),
+    pattern: (rule, career, ctx) => PATTERNS[rule.pattern](career, rule, ctx)
+  };
+
+  /**
+   * How far a career has come toward a threshold, as { have, need }. Only for
+   * kinds that more results can bring closer: a stat, a count or a streak,
+   * where the streak is the one still running.
+   */
+  const PROGRESS = {
+    stat: (rule, career) => ({ have: career.stats[rule.stat], need: rule.min }),
+    count: (rule, { records }) => ({ have: records.filter(r => matches(rule.count, r)).length, need: rule.min }),
+    streak(rule, { records }) {
+      let run = 0;
+      records.forEach(r => (run = matches(rule.streak, r) ? run + 1 : 0));
+      return { have: run, need: rule.min };
+    }
+  };
+
+  /** Editions in order; a cancelled year has no results and isn't one. */
+  function editionsOf(competitions) {
+    return competitions
+      .filter(comp => Object.keys(comp.scores).length > 0)
+      .sort((a, b) => a.year - b.year);
+  }
+
+  class AchievementEngine {
+    constructor() {
+      this.achievements = globalThis.ACHIEVEMENT_DEFINITIONS || [];
+      const problems = AchievementEngine.validate(this.achievements);
+      if (problems.length) {
+        throw new Error(`Utmärkelser utan regel som går att räkna: ${problems.map(p => `${p.id} (${p.problem})`).join('; ')}`);
       }
-    }
-    return false;
-  }
-
-  /**
-   * Check grass to grace pattern
-   */
-  checkGrassToGracePattern(positions, competitions, _participant) {
-    for (let i = 1; i < positions.length; i++) {
-      const prevComp = competitions[i - 1];
+      this.cache = new Map();
+      this.calculationStats = {
+        totalCalculations: 0,
+        cacheHits: 0,
+        calculationTime: 0
+      };
+    }
+
+    /** Whether a rule, once met, stays met as editions are added */
+    static isLasting(rule) {
+      return isLasting(rule);
+    }
+
+    /**
+     * Every definition whose rule can't be evaluated, as { id, problem }.
+     * Empty when all is well.
+     */
+    static validate(definitions) {
+      return definitions
+        .map(def => ({ id: def.id, problem: checkRule(def.rule) }))
+        .filter(p => p.problem);
+    }
+
+    /**
+     * Calculate all achievements for all participants
+     */
+    calculateAllAchievements(competitions, participants) {
+      const startTime = performance.now();
+      console.log('🏆 Calculating achievements...');
+
+      const participantAchievements = this.evaluate(editionsOf(competitions), participants);
+
+      const endTime = performance.now();
+      this.calculationStats.calculationTime = endTime - startTime;
+
+      console.log(`✅ Achievement calculation complete in ${this.calculationStats.calculationTime.toFixed(2)}ms`);
+      console.log(`📊 Calculated achievements for ${participants.length} participants`);
+
+      return participantAchievements;
+    }
+
+    /**
+     * When each achievement was unlocked: the engine replayed edition by
+     * edition. A lasting rule (see AchievementEngine.isLasting) belongs to
+     * the edition after which its holder first met it, and is kept from
+     * then on. Any other rule only counts while it is met: it dates from the
+     * start of the unbroken run that reaches the latest edition, and isn't
+     * there at all if it isn't met today. Returns { name: { id: edition } }.
+     */
+    calculateUnlockHistory(competitions, participants) {
+      const editions = editionsOf(competitions);
+      const lasting = new Set(this.achievements.filter(def => isLasting(def.rule)).map(def => def.id));
+      const history = {};
+      participants.forEach(participant => (history[participant.name] = {}));
+
+      editions.forEach((edition, i) => {
+        const held = this.evaluate(editions.slice(0, i + 1), participants);
+        Object.entries(history).forEach(([name, unlocked]) => {
+          const ids = held[name] || [];
+          Object.keys(unlocked).forEach(id => {
+            if (!lasting.has(id) && !ids.includes(id)) delete unlocked[id];
+          });
+          ids.forEach(id => {
+            if (!unlocked[id]) unlocked[id] = edition;
+          });
+        });
+      });
 
-      if (positions[i - 1] === Object.keys(prevComp.scores).length &&
-          positions[i] === 1) {
-        return true;
-      }
-    }
-    return false;
-  }
+      return history;
+    }
+
+    /**
+     * Everyone who has held each title (a definition with `title: true`), in
+     * order: { id: [{ holder: name, from: edition, until: edition | null }] }.
+     * Each entry is one person's unbroken spell, so co-holders coming and
+     * going don't restart it. `until` is the edition after which the holder
+     * lost the title, null while they still hold it.
+     */
+    calculateTitleLineage(competitions, participants) {
+      const editions = editionsOf(competitions);
+      const titles = this.achievements.filter(def => def.title);
+      const lineage = {};
+      const current = {};
+      titles.forEach(def => {
+        lineage[def.id] = [];
+        current[def.id] = {};
+      });
 
-  /**
-   * Check elevator pattern (big position swings)
-   */
-  checkElevatorPattern(positions) {
-    if (positions.length < 3) return false;
+      editions.forEach((edition, i) => {
+        const held = this.evaluate(editions.slice(0, i + 1), participants);
+        titles.forEach(def => {
+          const spells = current[def.id];
+          Object.keys(spells).forEach(name => {
+            if (held[name] && held[name].includes(def.id)) return;
+            spells[name].until = edition;
+            delete spells[name];
+          });
+          Object.keys(held).forEach(name => {
+            if (!held[name].includes(def.id) || spells[name]) return;
+            spells[name] = { holder: name, from: edition, until: null };
+            lineage[def.id].push(spells[name]);
+          });
+        });
+      });
 
-    let bigSwings = 0;
-    for (let i = 1; i < positions.length; i++) {
-      if (Math.abs(positions[i] - positions[i - 1]) >= 5) {
-        bigSwings++;
-      }
+      return lineage;
     }
 
-    return bigSwings >= positions.length * 0.5;
-  }
-
-  /**
-   * Check yo-yo pattern (alternating podium/non-podium)
-   */
-  checkYoYoPattern(positions) {
-    if (positions.length < 4) return false;
-
-    let alternatingCount = 0;
-    for (let i = 1; i < positions.length; i++) {
-      const prevOnPodium = positions[i - 1] <= 3;
-      const currentOnPodium = positions[i] <= 3;
-
-      if (prevOnPodium !== currentOnPodium) {
-        alternatingCount++;
-      }
+    /** { name: [ids] } for everyone, with the editions as the whole history */
+    evaluate(editions, participants) {
+      const ctx = { editions, participants, leaders: new Map() };
+      const participantAchievements = {};
+      participants.forEach(participant => {
+        participantAchievements[participant.name] = this.calculateParticipantAchievements(participant, ctx);
+        this.calculationStats.totalCalculations++;
+      });
+      return participantAchievements;
     }
 
-    return alternatingCount >= positions.length - 1;
-  }
+    /**
+     * Ids of every achievement one participant has unlocked, in definition order
+     */
+    calculateParticipantAchievements(participant, ctx) {
+      const last = ctx.editions[ctx.editions.length - 1];
+      const cacheKey = `${participant.id}-${ctx.editions.length}-${last ? last.year : ''}`;
 
-  /**
-   * Check consistent chaos pattern (never same position twice)
-   */
-  checkConsistentChaosPattern(positions) {
-    if (positions.length < 5) return false;
-
-    const uniquePositions = new Set(positions);
-    return uniquePositions.size === positions.length;
-  }
-
-  /**
-   * Check odd-even pattern
-   */
-  checkOddEvenPattern(yearPositions) {
-    const years = Object.keys(yearPositions).map(Number).sort();
-    if (years.length < 4) return false;
-
-    let matches = 0;
-    years.forEach(year => {
-      const position = yearPositions[year];
-      const yearIsOdd = year % 2 === 1;
-      const positionIsOdd = position % 2 === 1;
-
-      if (yearIsOdd === positionIsOdd) {
-        matches++;
+      if (this.cache.has(cacheKey)) {
+        this.calculationStats.cacheHits++;
+        return this.cache.get(cacheKey);
       }
-    });
-
-    return matches >= years.length * 0.8;
-  }
-
-  /**
-   * Check sandwich pattern
-   */
-  checkSandwichPattern(_stats, _competitions, _participant) {
-    // This is complex and would need detailed implementation
-    // For now, return false
-    return false;
-  }
-
-  /**
-   * Find leader in a counts object
-   */
-  findLeader(counts) {
-    const entries = Object.entries(counts);
-    if (entries.length === 0) return null;
-
-    const sorted = entries.sort((a, b) => b[1] - a[1]);
-    return sorted[0][0];
-  }
-
-  /**
-   * Find most consistent player
-   */
-  findMostConsistent(consistencyStats) {
-    const entries = Object.entries(consistencyStats);
-    if (entries.length === 0) return null;
-
-    const sorted = entries.sort((a, b) => a[1] - b[1]); // Lower is better
-    return sorted[0][0];
-  }
 
-  /**
-   * Calculate total medals for all participants
-   */
-  calculateTotalMedalsForAll(participants, competitions) {
-    const medalCounts = {};
-
-    participants.forEach(p => {
-      medalCounts[p.name] = 0;
-      competitions.forEach(comp => {
-        const position = comp.scores[p.id];
-        if (position && position <= 3) {
-          medalCounts[p.name]++;
-        }
+      const achievements = this.unlocked(participant, ctx);
+      this.cache.set(cacheKey, achievements);
+      return achievements;
+    }
+
+    /** calculateParticipantAchievements without the cache */
+    unlocked(participant, ctx) {
+      const career = this.career(participant, ctx.editions);
+      return career.starts.length
+        ? this.achievements.filter(def => this.test(def.rule, career, ctx)).map(def => def.id)
+        : [];
+    }
+
+    /**
+     * Progress toward every threshold achievement not yet reached:
+     * { name: { id: { have, need } } }. Rules without a plain `min` to count
+     * up to (a `max`, a `starts` guard, `within`, `before`, `endsWith`) are
+     * left out, since more results don't simply bring them closer.
+     */
+    calculateProgress(competitions, participants) {
+      const editions = editionsOf(competitions);
+      const progress = {};
+      participants.forEach(participant => {
+        const career = this.career(participant, editions);
+        progress[participant.name] = {};
+        if (!career.starts.length) return;
+        this.achievements.forEach(def => {
+          const p = this.progress(def.rule, career);
+          if (p && p.have < p.need) progress[participant.name][def.id] = p;
+        });
       });
-    });
-
-    return medalCounts;
-  }
-
-  /**
-   * Calculate win counts for all participants
-   */
-  calculateWinCountsForAll(participants, competitions) {
-    const winCounts = {};
-
-    participants.forEach(p => {
-      winCounts[p.name] = 0;
-      competitions.forEach(comp => {
-        if (comp.scores[p.id] === 1) {
-          winCounts[p.name]++;
-        }
+      return progress;
+    }
+
+    /** { have, need } for one rule, or null if it isn't a plain threshold */
+    progress(rule, career) {
+      const kind = Object.keys(PROGRESS).find(k => k in rule);
+      if (!kind || rule.min == null || rule.max != null || rule.starts != null) return null;
+      if (rule.within != null || rule.before != null || rule.endsWith != null) return null;
+      return PROGRESS[kind](rule, career);
+    }
+
+    /**
+     * What one more edition would bring a participant: for each placing in a
+     * field of `size`, the ids they would hold after it — the same as
+     * calculateParticipantAchievements with that result added. Only rules
+     * that depend on their own results are included: nobody knows how the
+     * rest of the field will place, so "most", "fewest" and patterns are out.
+     */
+    calculateNextEdition(participant, competitions, participants, size) {
+      const editions = editionsOf(competitions);
+      const year = editions.length ? editions[editions.length - 1].year + 1 : new Date().getFullYear();
+      const personal = new Set(this.achievements.filter(def => isPersonal(def.rule)).map(def => def.id));
+      return Array.from({ length: size }, (_, i) => {
+        const pos = i + 1;
+        // The rest of the field is made up; only its size matters here
+        const scores = {};
+        for (let k = 1; k <= size; k++) scores[k === pos ? participant.id : `field-${k}`] = k;
+        const next = { year, scores, shared: new Set(), participantCount: size };
+        const ctx = { editions: [...editions, next], participants, leaders: new Map() };
+        return { pos, ids: this.unlocked(participant, ctx).filter(id => personal.has(id)) };
       });
-    });
-
-    return winCounts;
-  }
+    }
 
-  /**
-   * Calculate consistency stats for all participants
-   */
-  calculateConsistencyForAll(participants, competitions) {
-    const consistencyStats = {};
-
-    participants.forEach(p => {
-      const positions = [];
-      competitions.forEach(comp => {
-        if (comp.scores[p.id]) {
-          positions.push(comp.scores[p.id]);
-        }
+    /**
+     * One participant across the editions: a record per edition (placing,
+     * field, hosting) and the career numbers in STATS.
+     */
+    career(participant, editions) {
+      const records = editions.map(comp => {
+        const positions = Object.values(comp.scores);
+        return {
+          comp,
+          year: comp.year,
+          pos: comp.scores[participant.id] || null,
+          size: positions.length,
+          lastPos: Math.max(...positions),
+          shared: !!(comp.shared && comp.shared.has(participant.id)),
+          hosted: comp.arranger3rd === participant.name || comp.arrangerSecondLast === participant.name,
+          hostThird: comp.arranger3rd === participant.name
+        };
       });
-
-      if (positions.length >= 10) {
-        consistencyStats[p.name] = this.calculateStandardDeviation(positions);
+      records.forEach((r, i) => (r.prevPos = i > 0 ? records[i - 1].pos : null));
+
+      const starts = records.filter(r => r.pos != null);
+      const positions = starts.map(r => r.pos);
+      const count = placing => records.filter(r => matches(placing, r)).length;
+      const debut = starts.length ? records.indexOf(starts[0]) : records.length;
+
+      const stats = {
+        starts: starts.length,
+        gold: count('win'),
+        silver: count('silver'),
+        bronze: count('bronze'),
+        medals: count('podium'),
+        hosted: count('hosted'),
+        shared: count('shared'),
+        spread: this.calculateStandardDeviation(positions),
+        missed: records.slice(debut).filter(r => r.pos == null).length,
+        editionsBeforeDebut: debut,
+        careerYears: starts.length ? starts[starts.length - 1].year - starts[0].year : 0,
+        duelWins: starts.reduce((sum, r) => sum + Object.values(r.comp.scores).filter(pos => pos > r.pos).length, 0)
+      };
+
+      return { participant, records, starts, stats };
+    }
+
+    /**
+     * Evaluate a rule for one career
+     */
+    test(rule, career, ctx) {
+      if (rule.starts != null && career.stats.starts < rule.starts) return false;
+      const kind = Object.keys(EVALUATE).find(k => k in rule);
+      return EVALUATE[kind](rule, career, ctx, this);
+    }
+
+    /**
+     * Ids of everyone at the top (`most`) or bottom (`fewest`) of a stat —
+     * over all editions, the last `since` years or each decade (`in`).
+     * Computed once per rule and shared by every participant.
+     */
+    leaders(rule, ctx) {
+      if (ctx.leaders.has(rule)) return ctx.leaders.get(rule);
+
+      const stat = rule.most || rule.fewest;
+      let groups = [ctx.editions];
+      if (rule.since != null) {
+        const latest = ctx.editions.length ? ctx.editions[ctx.editions.length - 1].year : 0;
+        groups = [ctx.editions.filter(comp => comp.year > latest - rule.since)];
+      } else if (rule.in === 'decade') {
+        const decades = {};
+        ctx.editions.forEach(comp => (decades[Math.floor(comp.year / 10)] ||= []).push(comp));
+        groups = Object.values(decades);
       }
-    });
-
-    return consistencyStats;
-  }
 
-  /**
-   * Find decade champion
-   */
-  findDecadeChampion(participants, competitions) {
-    const last10Years = competitions.filter(c => c.year >= 2016);
-    const winCounts = {};
-
-    participants.forEach(p => {
-      winCounts[p.name] = 0;
-      last10Years.forEach(comp => {
-        if (comp.scores[p.id] === 1) {
-          winCounts[p.name]++;
-        }
+      const ids = new Set();
+      groups.forEach(editions => {
+        const values = ctx.participants
+          .map(p => ({ id: p.id, stats: this.career(p, editions).stats }))
+          .filter(x => x.stats.starts >= Math.max(1, rule.starts || 0))
+          .map(x => ({ id: x.id, value: x.stats[stat] }));
+        if (!values.length) return;
+        const best = rule.most
+          ? Math.max(...values.map(x => x.value))
+          : Math.min(...values.map(x => x.value));
+        if (rule.most && (best <= 0 || (rule.min != null && best < rule.min))) return;
+        const top = values.filter(x => x.value === best);
+        if (rule.unique && top.length > 1) return;
+        top.forEach(x => ids.add(x.id));
       });
-    });
-
-    const leader = this.findLeader(winCounts);
-    return winCounts[leader] >= 3 ? leader : null;
-  }
 
-  /**
-   * Calculate host counts
-   */
-  calculateHostCounts(participants, competitions) {
-    const hostCounts = {};
-
-    participants.forEach(p => {
-      hostCounts[p.name] = 0;
-      competitions.forEach(comp => {
-        if (comp.arranger3rd === p.name || comp.arrangerSecondLast === p.name) {
-          hostCounts[p.name]++;
-        }
-      });
-    });
-
-    return hostCounts;
-  }
-
-  /**
-   * Find "The Closer" (won last 3 competitions)
-   */
-  findTheCloser(participants, competitions) {
-    const last3Comps = competitions.slice(0, 3);
-    if (last3Comps.length !== 3) return null;
-
-    for (const participant of participants) {
-      let wonAll = true;
-      for (const comp of last3Comps) {
-        if (comp.scores[participant.id] !== 1) {
-          wonAll = false;
-          break;
-        }
-      }
-      if (wonAll) {
-        return participant.name;
-      }
+      ctx.leaders.set(rule, ids);
+      return ids;
     }
 
-    return null;
-  }
+    // ===== HELPER METHODS =====
 
-  /**
-   * Check family rivalries
-   */
-  checkFamilyRivalries(participantAchievements, participants, competitions) {
-    // Find family members (same last name)
-    const families = {};
-    participants.forEach(p => {
-      const lastName = p.name.split(' ').pop();
-      if (!families[lastName]) families[lastName] = [];
-      families[lastName].push(p);
-    });
-
-    // Check rivalries within families
-    Object.values(families).forEach(family => {
-      if (family.length > 1) {
-        family.forEach(p1 => {
-          let totalWins = 0;
-          family.forEach(p2 => {
-            if (p1.id !== p2.id) {
-              competitions.forEach(comp => {
-                if (comp.scores[p1.id] && comp.scores[p2.id]) {
-                  if (comp.scores[p1.id] < comp.scores[p2.id]) {
-                    totalWins++;
-                  }
-                }
-              });
-            }
-          });
+    /**
+     * Calculate standard deviation of positions
+     */
+    calculateStandardDeviation(positions) {
+      if (positions.length === 0) return 0;
 
-          if (totalWins >= 5) {
-            participantAchievements[p1.name].push('family_rivalry');
-          }
-        });
-      }
-    });
-  }
+      const mean = positions.reduce((a, b) => a + b, 0) / positions.length;
+      const variance = positions.reduce((sum, pos) => sum + Math.pow(pos - mean, 2), 0) / positions.length;
+      return Math.sqrt(variance);
+    }
 
-  /**
-   * Clear achievement cache
-   */
-  clearCache() {
-    this.cache.clear();
-  }
+    /**
+     * Clear achievement cache
+     */
+    clearCache() {
+      this.cache.clear();
+    }
 
-  /**
-   * Get calculation statistics
-   */
-  getStats() {
-    return { ...this.calculationStats };
+    /**
+     * Get calculation statistics
+     */
+    getStats() {
+      return { ...this.calculationStats };
+    }
   }
-}
 
-// Export for global access
-window.AchievementEngine = AchievementEngine;
+  // Export for global access — globalThis, because the build checks the
+  // definitions in Node as well
+  globalThis.AchievementEngine = AchievementEngine;
+})();
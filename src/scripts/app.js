@@ -41,6 +41,8 @@
     '#888888';
 
   function shortName(fullName) {
+    const p = participantByName(fullName);
+    if (p && p.nickname) return p.nickname;
     const parts = fullName.trim().split(/\s+/);
     if (parts.length === 1) return parts[0];
     return `${parts[0]} ${parts[parts.length - 1].charAt(0)}.`;
@@ -61,6 +63,13 @@
     return h;
   }
 
+  /** Avatar ring colour: the registry's `color` if set, else a hue from the name. */
+  function avatarColor(name, alpha) {
+    const p = participantByName(name);
+    if (p && p.color) return `color-mix(in srgb, ${p.color} ${Math.round(alpha * 100)}%, transparent)`;
+    return `hsl(${nameHue(name)} 60% 60% / ${alpha})`;
+  }
+
   const PALETTE = [
     '#f2c14e', '#7c8cf8', '#4fd1c5', '#f26d8d', '#8bd450',
     '#f28f4e', '#5aa2f7', '#c884e0', '#e6d05a', '#63d9a1',
@@ -81,7 +90,13 @@
     event: null,
     facts: [],
     elo: null, // { current: [...], history: {id: {year: rating}}, years: [] }
-    h2h: { a: null, b: null },
+    eloDefault: null, // same, with ELO_DEFAULTS — what Elo-labbet diffs against
+    eloLab: null, // Elo-labbet's settings, starts as ELO_DEFAULTS
+    ratings: {}, // other systems by id, same shape as elo plus bands — see ratings.js
+    ratingSystem: 'elo',
+    expectations: {}, // expected vs actual placing per year — see computeExpectations
+    forecast: null, // odds for the next edition — see forecast.js
+    h2h: { ids: [] },
     achievements: null, // { byName: {name: [ids]}, defs: [...] }
     charts: {},
     chartBuilders: {},
@@ -94,6 +109,9 @@
     countdownTimer: null,
     photos: null,
     medalSort: { key: 'rank', dir: 1 },
+    medalTab: 'olympic', // or 'marathon'
+    pointScheme: 'f1', // id in POINT_SCHEMES
+    scoreMode: 'raw', // 'raw' placings or 'normalised' 0–100 scores — see SCORE_MODES
     filters: { participants: new Set(), years: new Set() },
     achCategory: 'all',
     currentView: 'overview',
@@ -102,52 +120,128 @@
     game: null
   };
 
+  /** Registry entry for a display name, once the data has loaded. */
+  function participantByName(name) {
+    if (!App.data) return null;
+    const n = String(name).trim();
+    return App.data.participants.find((p) => p.name === n) || null;
+  }
+
   /* ======================================================================
      Data loading & processing
      ====================================================================== */
 
-  const FIXED_COLUMNS = ['År', 'Datum', 'Tävling', 'Plats', 'Arrangör 3:a', 'Arrangör näst sist'];
+  // The file format lives in csv-format.js, shared with the data validator
+  const { FIXED_COLUMNS, nameKey } = window.CsvFormat;
 
+  /** The shared parse, trimmed and keyed by header. */
   function parseCSV(text) {
-    const lines = text.trim().split(/\r?\n/);
-    const parseLine = (line) => {
-      const out = [];
-      let cur = '';
-      let quoted = false;
-      for (const ch of line) {
-        if (ch === '"') quoted = !quoted;
-        else if (ch === ',' && !quoted) {
-          out.push(cur.trim());
-          cur = '';
-        } else cur += ch;
-      }
-      out.push(cur.trim());
-      return out;
-    };
-
-    const headers = parseLine(lines[0]).map((h) => h.trim());
-    const rows = [];
-    for (let i = 1; i < lines.length; i++) {
-      if (!lines[i].trim()) continue;
-      const values = parseLine(lines[i]);
+    const table = window.CsvFormat.parseCSV(text);
+    const headers = table.headers.map((h) => h.trim());
+    const rows = table.rows.map(({ cells }) => {
       const row = {};
-      headers.forEach((h, idx) => (row[h] = values[idx] != null ? values[idx] : ''));
-      rows.push(row);
-    }
+      headers.forEach((h, idx) => (row[h] = cells[idx] != null ? cells[idx].trim() : ''));
+      return row;
+    });
     return { headers, rows };
   }
 
-  function processData(headers, rows) {
-    const participantNames = headers.filter((h) => h && !FIXED_COLUMNS.includes(h));
+  /** A participant cell, or null for non-starters and cells that aren't a placing. */
+  function parsePlacement(cell) {
+    const placing = window.CsvFormat.parseCell(cell);
+    return placing && !placing.invalid ? placing : null;
+  }
 
-    const participants = participantNames.map((name, i) => ({
-      id: `p${i + 1}`,
-      name: name.trim(),
-      nickname: shortName(name)
-    }));
+  function formatMeasurement(m) {
+    const num = (n, d) => new Intl.NumberFormat('sv-SE', { maximumFractionDigits: d }).format(n);
+    switch (m.kind) {
+      case 'weight':
+        return m.value < 1 ? `${num(m.value * 1000, 0)} g` : `${num(m.value, 2)} kg`;
+      case 'points':
+        return `${num(m.value, 1)} p`;
+      case 'hits':
+        return `${num(m.value, 0)} ${m.value === 1 ? 'träff' : 'träffar'}`;
+      case 'time': {
+        if (m.value < 60) return `${num(m.value, 2)} s`;
+        // Pad the whole seconds, then add the tenth: 65.3 → 1:05,3
+        const tenths = Math.round(m.value * 10);
+        const mins = Math.floor(tenths / 600);
+        const secs = String(Math.floor((tenths % 600) / 10)).padStart(2, '0');
+        return `${mins}:${secs}${tenths % 10 ? `,${tenths % 10}` : ''} min`;
+      }
+      case 'distance':
+        return m.value < 1 ? `${num(m.value * 100, 0)} cm` : `${num(m.value, 2)} m`;
+      default:
+        return m.unit ? `${num(m.number, 2)} ${m.unit}` : num(m.number, 2);
+    }
+  }
+
+  /**
+   * Ids whose placing is held by more than one starter. Whether or not the
+   * CSV marked it with `=`, two people on the same number share the place.
+   */
+  function sharedPlacings(scores) {
+    const count = {};
+    Object.values(scores).forEach((pos) => (count[pos] = (count[pos] || 0) + 1));
+    return new Set(Object.keys(scores).filter((id) => count[scores[id]] > 1));
+  }
+
+  /** URL-safe id for a name: `Per Vikman` → `per-vikman`, `Hägglund` → `hagglund`. */
+  function slugify(name) {
+    return name
+      .trim()
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Merge the CSV header with participants.json. A header matches a registry
+   * entry by name or alias, so renaming a column keeps the person's id, and
+   * ids are slugs rather than column positions — adding a column anywhere
+   * leaves every existing link intact.
+   */
+  function buildParticipants(headerNames, registry) {
+    const byAlias = {};
+    registry.forEach((entry) =>
+      [entry.name, ...(entry.aliases || [])].forEach((n) => (byAlias[nameKey(n)] = entry))
+    );
+
+    const used = new Set();
+    return headerNames.map((header) => {
+      const entry = byAlias[nameKey(header)] || {};
+      const name = (entry.name || header).trim();
+      let id = entry.id || slugify(name);
+      for (let n = 2; used.has(id); n++) id = `${entry.id || slugify(name)}-${n}`;
+      used.add(id);
+      return {
+        id,
+        name,
+        header,
+        nickname: entry.nickname || shortName(name),
+        aliases: entry.aliases || [],
+        color: entry.color || null,
+        firstYear: entry.firstYear || null
+      };
+    });
+  }
+
+  function processData(headers, rows, registry = []) {
+    const participantNames = headers.filter((h) => h && !FIXED_COLUMNS.includes(h));
+    const participants = buildParticipants(participantNames, registry);
 
     const idByName = {};
-    participants.forEach((p) => (idByName[p.name] = p.id));
+    const nameOf = {};
+    participants.forEach((p) => {
+      idByName[p.header] = p.id;
+      [p.name, ...p.aliases].forEach((n) => (nameOf[nameKey(n)] = p.name));
+    });
+    // Hosts are written by name too; map aliases to the current name
+    const canonical = (raw) => nameOf[nameKey(raw)] || (raw || '').trim();
+    const byId = {};
+    participants.forEach((p) => (byId[p.id] = p));
 
     const competitions = [];
     rows.forEach((row) => {
@@ -161,20 +255,18 @@
 
       const isCovid = name.toLowerCase() === 'covid';
       const scores = {};
-      let winner = null;
+      const results = {};
+      const winners = [];
       let participantCount = 0;
 
       if (!isCovid) {
         participantNames.forEach((pName) => {
-          const v = (row[pName] || '').trim();
-          if (v && v !== '-') {
-            const pos = parseInt(v, 10);
-            if (!isNaN(pos)) {
-              scores[idByName[pName]] = pos;
-              participantCount++;
-              if (pos === 1) winner = pName.trim();
-            }
-          }
+          const placing = parsePlacement(row[pName]);
+          if (!placing) return;
+          scores[idByName[pName]] = placing.pos;
+          if (placing.result) results[idByName[pName]] = placing.result;
+          participantCount++;
+          if (placing.pos === 1) winners.push(byId[idByName[pName]].name);
         });
       }
 
@@ -184,19 +276,83 @@
         date,
         name: isCovid ? 'Covid' : name,
         location: (row['Plats'] || '').trim(),
-        winner,
+        winner: winners[0] || null,
+        winners,
         scores,
-        arranger3rd: (row['Arrangör 3:a'] || '').trim(),
-        arrangerSecondLast: (row['Arrangör näst sist'] || '').trim(),
+        results,
+        shared: sharedPlacings(scores),
+        arranger3rd: canonical(row['Arrangör 3:a']),
+        arrangerSecondLast: canonical(row['Arrangör näst sist']),
         participantCount,
         isCovid
       });
     });
 
     competitions.sort((a, b) => b.year - a.year);
+
+    // Without a registry date, someone joined the year of their first start
+    participants.forEach((p) => {
+      if (p.firstYear) return;
+      const starts = competitions.filter((c) => c.scores[p.id] != null).map((c) => c.year);
+      p.firstYear = starts.length ? Math.min(...starts) : null;
+    });
     return { participants, competitions };
   }
 
+  const DISCIPLINE_COLUMNS = ['År', 'Gren', 'Typ'];
+
+  /**
+   * Attach per-discipline results to multi-event editions. The companion CSV
+   * has one row per discipline (År, Gren, Typ) and the same participant
+   * columns as the main file, so a name only has to be spelled one way.
+   */
+  function attachDisciplines(data, table) {
+    data.competitions.forEach((c) => (c.disciplines = []));
+    if (!table) return data;
+
+    const idByName = {};
+    data.participants.forEach((p) =>
+      [p.name, p.header, ...p.aliases].forEach((n) => (idByName[nameKey(n)] = p.id))
+    );
+    const names = table.headers.filter((h) => h && !DISCIPLINE_COLUMNS.includes(h));
+
+    table.rows.forEach((row) => {
+      const year = parseInt(row['År'], 10);
+      const name = (row['Gren'] || '').trim();
+      const comp = data.competitions.find((c) => c.year === year);
+      if (!comp || !name) return;
+
+      const scores = {};
+      const results = {};
+      names.forEach((pName) => {
+        const id = idByName[nameKey(pName)];
+        const placing = parsePlacement(row[pName]);
+        if (!id || !placing) return;
+        scores[id] = placing.pos;
+        if (placing.result) results[id] = placing.result;
+      });
+      if (!Object.keys(scores).length) return;
+
+      comp.disciplines.push({
+        name,
+        type: (row['Typ'] || '').trim() || 'Övrigt',
+        scores,
+        results,
+        shared: sharedPlacings(scores)
+      });
+    });
+    return data;
+  }
+
+  /**
+   * 0–100 score for a placing in a field of `size`: the winner gets 100 and
+   * last place 0, whatever the field size.
+   */
+  function placementScore(pos, size) {
+    if (size <= 1) return 100;
+    return (100 * (size - pos)) / (size - 1);
+  }
+
   const EMBEDDED_CSV = `År,Datum,Tävling,Plats,Arrangör 3:a,Arrangör näst sist,Olov Melander,Mikael Hägglund,Viktor Jones,Per Vikman,Erik Vallgren,Henrik Lundqvist,Rickard Nilsson,Niklas Norberg,Per Olsson,Tobias Lundqvist,Lars Sandin,Ludvig Ulenius,Jonas Eriksson
 2011,,Fantasy Premier League,,,,-,3,2,-,-,-,1,-,-,-,-,-,-
 2012,2012-07-28,Gokart,Varggropen,Mikael Hägglund,Viktor Jones,-,7,3,4,2,7,5,-,-,-,-,7,1
@@ -229,7 +385,66 @@
     }
     if (!text) text = EMBEDDED_CSV;
     const { headers, rows } = parseCSV(text);
-    return processData(headers, rows);
+    const [registry, disciplines] = await Promise.all([loadRegistry(), loadDisciplines()]);
+    const data = attachDisciplines(processData(headers, rows, registry), disciplines);
+    // Kept for the #admin diagnostics, which check the files as written
+    data.csv = text;
+    data.registry = registry;
+    return data;
+  }
+
+  /**
+   * Optional companion file with per-discipline results. Missing is fine —
+   * most years were a single competition and have nothing to break down.
+   */
+  async function loadDisciplines() {
+    try {
+      const url = new URL('competition-events.csv', document.baseURI).toString();
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (res.ok) {
+        const t = await res.text();
+        if (t && /(^|\n)\s*År\s*,/.test(t)) return parseCSV(t);
+      }
+    } catch (e) {
+      /* no breakdown available */
+    }
+    return null;
+  }
+
+  /**
+   * participants.json: stable ids, nicknames, aliases and colours. Optional —
+   * without it everyone gets a slug of their column name.
+   */
+  async function loadRegistry() {
+    try {
+      const url = new URL('participants.json', document.baseURI).toString();
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (res.ok) {
+        const json = await res.json();
+        if (Array.isArray(json)) return json.filter((p) => p && p.name);
+      }
+    } catch (e) {
+      /* no registry — derive everything from the CSV */
+    }
+    return [];
+  }
+
+  /**
+   * rivalries.json: pairs with a name of their own. Optional — the rivalry
+   * index works without it, the named ones just get a badge and a page.
+   */
+  async function loadRivalries() {
+    try {
+      const url = new URL('rivalries.json', document.baseURI).toString();
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (res.ok) {
+        const json = await res.json();
+        if (Array.isArray(json)) return json.filter((r) => r && r.name && Array.isArray(r.participants));
+      }
+    } catch (e) {
+      /* no named rivalries */
+    }
+    return [];
   }
 
   /**
@@ -271,6 +486,8 @@
      Derived statistics
      ====================================================================== */
 
+  const MEDAL_KEYS = { 1: 'gold', 2: 'silver', 3: 'bronze' };
+
   function computeStats(data) {
     const { participants, competitions } = data;
     const real = competitions.filter((c) => !c.isCovid && c.participantCount > 0);
@@ -285,8 +502,11 @@
         silver: 0,
         bronze: 0,
         lasts: 0,
+        shared: { gold: 0, silver: 0, bronze: 0 },
         positions: [],
         yearPositions: {},
+        scores: [], // placementScore per start, 0–100 whatever the field size
+        yearScores: {},
         hostCount: 0
       };
     });
@@ -301,9 +521,15 @@
         s.starts++;
         s.positions.push(pos);
         s.yearPositions[comp.year] = pos;
-        if (pos === 1) s.gold++;
-        else if (pos === 2) s.silver++;
-        else if (pos === 3) s.bronze++;
+        const score = placementScore(pos, positions.length);
+        s.scores.push(score);
+        s.yearScores[comp.year] = score;
+        const medal = MEDAL_KEYS[pos];
+        if (medal) {
+          s[medal]++;
+          // A shared gold is still a win — it just isn't an outright one
+          if (comp.shared.has(p.id)) s.shared[medal]++;
+        }
         if (worst != null && positions.length > 2 && pos === worst) s.lasts++;
       });
 
@@ -321,6 +547,7 @@
         ? s.positions.reduce((a, b) => a + b, 0) / s.positions.length
         : null;
       s.best = s.positions.length ? Math.min(...s.positions) : null;
+      s.avgScore = s.scores.length ? s.scores.reduce((a, b) => a + b, 0) / s.scores.length : null;
     });
 
     const medalRank = Object.values(per)
@@ -331,11 +558,39 @@
       );
 
     const latest = byYearAsc[byYearAsc.length - 1] || null;
-    const champion = latest && latest.winner ? latest.winner : null;
+    const champions = latest ? latest.winners : [];
+    const champion = champions.length ? champions.join(' & ') : null;
 
-    return { per, medalRank, real, byYearAsc, latest, champion };
+    return { per, medalRank, real, byYearAsc, latest, champion, champions };
+  }
+
+  /**
+   * The all-time medal table as it stood after each edition, by replaying the
+   * results one year at a time. ranks[id][year] = place in medalRank after
+   * that year, from one's first start on.
+   */
+  function medalRankHistory(data, stats) {
+    const years = stats.byYearAsc.map((c) => c.year);
+    const ranks = {};
+    years.forEach((year) => {
+      const upTo = computeStats({ ...data, competitions: data.competitions.filter((c) => c.year <= year) });
+      upTo.medalRank.forEach((s, i) => {
+        const { id } = s.participant;
+        (ranks[id] || (ranks[id] = {}))[year] = i + 1;
+      });
+    });
+    return { years, ranks };
   }
 
+  /**
+   * Elo settings. K is high for Elo, deliberately: with only ~14 editions a
+   * chess-sized K leaves everyone bunched within a few points of 1500.
+   * `decay` pulls a rating that fraction of the way back to the start for
+   * every edition sat out; `normalise` divides K by the number of opponents;
+   * years in `skip` aren't rated at all.
+   */
+  const ELO_DEFAULTS = { k: 90, start: 1500, decay: 0, normalise: true, skip: [] };
+
   /**
    * Elo ratings across every edition.
    *
@@ -343,36 +598,37 @@
    * matchup, won by whoever placed higher. Each pair is worth K/(n-1) so a
    * 12-player year can't swing ratings more than a 3-player year.
    */
-  function computeElo(data, stats) {
-    // High for Elo, deliberately: with only ~14 editions a chess-sized K
-    // leaves everyone bunched within a few points of 1500.
-    const K = 90;
-    const START = 1500;
+  function computeElo(data, stats, options = {}) {
+    const { k: K, start: START, decay, normalise, skip } = { ...ELO_DEFAULTS, ...options };
     const ratings = {};
     const history = {};
     const played = {};
+    const missed = {}; // rated editions sat out since the last start
+    const comebacks = {};
     data.participants.forEach((p) => {
       ratings[p.id] = START;
       history[p.id] = {};
       played[p.id] = 0;
+      missed[p.id] = 0;
+      comebacks[p.id] = [];
     });
 
     const years = [];
     stats.byYearAsc.forEach((comp) => {
       const ids = Object.keys(comp.scores);
-      if (ids.length < 2) return;
+      if (ids.length < 2 || skip.includes(comp.year)) return;
       years.push(comp.year);
 
       const delta = {};
       ids.forEach((id) => (delta[id] = 0));
-      const k = K / (ids.length - 1);
+      const k = normalise ? K / (ids.length - 1) : K;
 
       for (let i = 0; i < ids.length; i++) {
         for (let j = i + 1; j < ids.length; j++) {
           const a = ids[i];
           const b = ids[j];
           const expA = 1 / (1 + 10 ** ((ratings[b] - ratings[a]) / 400));
-          // Lower placement number wins; ties share the point
+          // Lower placement number wins; a shared placing is a draw
           const posA = comp.scores[a];
           const posB = comp.scores[b];
           const scoreA = posA === posB ? 0.5 : posA < posB ? 1 : 0;
@@ -382,8 +638,18 @@
       }
 
       ids.forEach((id) => {
+        // First year back after a break: how did the return go?
+        if (played[id] > 0 && missed[id] > 0) {
+          comebacks[id].push({ year: comp.year, missed: missed[id], change: Math.round(delta[id]) });
+        }
         ratings[id] += delta[id];
         played[id]++;
+        missed[id] = 0;
+      });
+      data.participants.forEach((p) => {
+        if (played[p.id] === 0 || p.id in comp.scores) return;
+        missed[p.id]++;
+        if (decay) ratings[p.id] -= (ratings[p.id] - START) * decay;
       });
       // Snapshot every rated player so the chart draws continuous lines
       data.participants.forEach((p) => {
@@ -402,7 +668,9 @@
           rating: Math.round(ratings[p.id]),
           peak: Math.max(...Object.values(history[p.id])),
           change: prev != null ? history[p.id][last] - history[p.id][prev] : 0,
-          starts: played[p.id]
+          starts: played[p.id],
+          missed: missed[p.id],
+          comebacks: comebacks[p.id]
         };
       })
       .sort((a, b) => b.rating - a.rating);
@@ -410,14 +678,131 @@
     return { current, history, years };
   }
 
+  const ELO_DESCRIPTION =
+    'Varje tävling räknas som en serie dueller — alla startar på 1500. ' +
+    'Att slå ett stort startfält ger mer än att slå ett litet.';
+
+  /** Every rating system the Elo panel can show, Elo first. */
+  function ratingSystems() {
+    const others = Object.entries(window.RatingSystems || {}).map(([id, sys]) => ({
+      id,
+      label: sys.label,
+      description: sys.description,
+      result: App.ratings[id]
+    }));
+    return [{ id: 'elo', label: 'Elo', description: ELO_DESCRIPTION, result: App.elo }, ...others].filter(
+      (sys) => sys.result
+    );
+  }
+
+  /** Sitting out this many editions in a row marks someone as inactive. */
+  const INACTIVE_AFTER = 2;
+
+  /**
+   * Editions held since someone last started, and whether that makes them
+   * inactive. Comes from the results rather than a rating system, so every
+   * system's standings mark the same people.
+   */
+  function inactivity(id) {
+    const s = App.stats.per[id];
+    const years = Object.keys(s.yearPositions).map(Number);
+    const last = years.length ? Math.max(...years) : null;
+    const missed = last == null ? 0 : App.stats.byYearAsc.filter((c) => c.year > last).length;
+    return { last, missed, inactive: missed >= INACTIVE_AFTER };
+  }
+
+  /**
+   * Expected placing in every rated edition from the Elo everyone brought
+   * into it: one plus the chance of each opponent finishing ahead. `diff` is
+   * expected minus actual, so positive means better than the ratings said.
+   * Returns { year: [{ id, year, rating, expected, actual, diff }] }.
+   */
+  function computeExpectations(elo, stats) {
+    const byYear = {};
+    const before = {};
+    elo.years.forEach((year) => {
+      const comp = stats.byYearAsc.find((c) => c.year === year);
+      const ids = Object.keys(comp.scores);
+      const ratingOf = (id) => (before[id] != null ? before[id] : ELO_DEFAULTS.start);
+      byYear[year] = ids.map((id) => {
+        const expected = ids.reduce(
+          (sum, opp) => (opp === id ? sum : sum + 1 / (1 + 10 ** ((ratingOf(id) - ratingOf(opp)) / 400))),
+          1
+        );
+        const actual = comp.scores[id];
+        return { id, year, rating: Math.round(ratingOf(id)), expected, actual, diff: expected - actual };
+      });
+      Object.entries(elo.history).forEach(([id, h]) => {
+        if (h[year] != null) before[id] = h[year];
+      });
+    });
+    return byYear;
+  }
+
   /**
-   * Head-to-head record between two participants across every year both started.
+   * Career over/under-performance within the given years: average and sum of
+   * `diff`, plus the single biggest surprise. Best first.
    */
-  function headToHead(idA, idB) {
+  function overperformance(parts, years) {
+    return parts
+      .map((p) => {
+        const rows = years.map((y) => (App.expectations[y] || []).find((r) => r.id === p.id)).filter(Boolean);
+        if (!rows.length) return null;
+        const total = rows.reduce((sum, r) => sum + r.diff, 0);
+        const top = rows.reduce((a, b) => (b.diff > a.diff ? b : a));
+        return { participant: p, starts: rows.length, total, avg: total / rows.length, top };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.avg - a.avg);
+  }
+
+  /**
+   * Who is expected at the next edition: the `participants` listed in
+   * event.json (ids or names) when the hosts know, otherwise everyone who has
+   * started and isn't inactive.
+   */
+  function forecastField() {
+    const listed = (App.event && App.event.participants) || [];
+    if (listed.length) {
+      return listed
+        .map((x) => App.data.participants.find((p) => p.id === x) || participantByName(x))
+        .filter(Boolean);
+    }
+    return App.data.participants.filter((p) => App.stats.per[p.id].starts > 0 && !inactivity(p.id).inactive);
+  }
+
+  /** Monte Carlo odds for the next edition, from the standard Elo (not Elo-labbet's). */
+  function computeForecast() {
+    if (!window.Forecast) return null;
+    const ratingOf = {};
+    App.eloDefault.current.forEach((e) => (ratingOf[e.participant.id] = e.rating));
+    const sizeOf = {};
+    App.stats.byYearAsc.forEach((c) => (sizeOf[c.year] = c.participantCount));
+    const entrants = forecastField().map((p) => ({
+      id: p.id,
+      rating: ratingOf[p.id] != null ? ratingOf[p.id] : ELO_DEFAULTS.start,
+      placings: Object.entries(App.stats.per[p.id].yearPositions).map(([y, pos]) => [pos, sizeOf[y]])
+    }));
+    return window.Forecast.simulate(entrants);
+  }
+
+  function computeRatings(data, stats) {
+    const out = {};
+    Object.entries(window.RatingSystems || {}).forEach(([id, sys]) => {
+      out[id] = sys.compute(stats.byYearAsc, data.participants);
+    });
+    return out;
+  }
+
+  /**
+   * Head-to-head record between two participants across every year both
+   * started. `stats` defaults to the app's; the fact generators pass their own.
+   */
+  function headToHead(idA, idB, stats = App.stats) {
     const meetings = [];
     let winsA = 0;
     let winsB = 0;
-    App.stats.byYearAsc.forEach((comp) => {
+    stats.byYearAsc.forEach((comp) => {
       const posA = comp.scores[idA];
       const posB = comp.scores[idB];
       if (posA == null || posB == null) return;
@@ -442,82 +827,412 @@
       .sort((a, b) => b.winsA - b.winsB - (a.winsA - a.winsB) || b.total - a.total);
   }
 
-  function computeFacts(data, stats) {
-    const facts = [];
-    const rows = Object.values(stats.per).filter((s) => s.starts > 0);
-    const by = (key, dir = 1) =>
-      [...rows].sort((a, b) => (b[key] - a[key]) * dir)[0];
-
-    const maxGold = Math.max(...rows.map((s) => s.gold));
-    if (maxGold > 0) {
-      const leaders = rows.filter((s) => s.gold === maxGold).map((s) => s.participant.name);
-      facts.push(
-        leaders.length > 1
-          ? `${leaders.join(' och ')} delar rekordet med ${maxGold} segrar var.`
-          : `${leaders[0]} har flest segrar — ${maxGold} stycken. Dominans.`
-      );
-    }
+  /**
+   * How often the lead in a duel has changed hands. A tie in between doesn't
+   * count as a change; going from one leader to the other does.
+   */
+  function leadChanges(meetings) {
+    let diff = 0;
+    let leader = 0;
+    const changes = [];
+    meetings.forEach((m) => {
+      if (m.posA < m.posB) diff++;
+      else if (m.posB < m.posA) diff--;
+      const now = Math.sign(diff);
+      if (now && leader && now !== leader) changes.push(m.year);
+      if (now) leader = now;
+    });
+    return changes;
+  }
+
+  /**
+   * minMeetings: pairs with fewer meetings aren't ranked. The index is a
+   * weighted sum, 0–100, of how often they've met (against the most met
+   * pair), how even the record is, how close they finish on average and
+   * how often the lead has changed hands.
+   */
+  const RIVALRY = { minMeetings: 4, board: 6, weights: { meetings: 0.25, closeness: 0.35, gap: 0.2, swings: 0.2 } };
+
+  /** Every pair of starters with enough meetings, hottest rivalry first. */
+  function rivalryIndex(data, stats) {
+    const starters = data.participants.filter((p) => stats.per[p.id].starts > 0);
+    const pairs = [];
+    starters.forEach((a, i) =>
+      starters.slice(i + 1).forEach((b) => {
+        const { meetings, winsA, winsB } = headToHead(a.id, b.id, stats);
+        const n = meetings.length;
+        if (n < RIVALRY.minMeetings) return;
+        const gap = meetings.reduce((sum, m) => sum + Math.abs(m.posA - m.posB), 0) / n;
+        const changes = leadChanges(meetings);
+        pairs.push({
+          a,
+          b,
+          meetings: n,
+          winsA,
+          winsB,
+          gap,
+          leadChanges: changes,
+          closeness: 1 - Math.abs(winsA - winsB) / n,
+          swings: changes.length / (n - 1)
+        });
+      })
+    );
+    const most = Math.max(1, ...pairs.map((r) => r.meetings));
+    const w = RIVALRY.weights;
+    pairs.forEach((r) => {
+      const score =
+        w.meetings * (r.meetings / most) + w.closeness * r.closeness + w.gap / Math.max(r.gap, 1) + w.swings * r.swings;
+      r.heat = Math.round(score * 100);
+      r.named = namedRivalry(r.a.id, r.b.id);
+    });
+    return pairs.sort((x, y) => y.heat - x.heat || y.meetings - x.meetings);
+  }
+
+  /**
+   * Named rivalries from rivalries.json with the participants resolved to ids
+   * (ids, names and aliases all work). Entries that don't name two known
+   * starters are dropped.
+   */
+  function resolveRivalries(list, data) {
+    const started = (p) => data.competitions.some((c) => c.scores[p.id] != null);
+    const find = (x) =>
+      data.participants.find((p) => p.id === x || [p.name, p.header, ...p.aliases].includes(String(x).trim()));
+    const used = new Set();
+    return list
+      .map((r) => {
+        const [a, b] = r.participants.map(find);
+        if (!a || !b || a === b || !started(a) || !started(b)) return null;
+        let id = r.id || slugify(r.name);
+        for (let n = 2; used.has(id); n++) id = `${r.id || slugify(r.name)}-${n}`;
+        used.add(id);
+        return { id, name: r.name, description: r.description || '', a: a.id, b: b.id };
+      })
+      .filter(Boolean);
+  }
+
+  /** The named rivalry between two participants, in either order. */
+  function namedRivalry(idA, idB) {
+    return (App.namedRivalries || []).find((r) => (r.a === idA && r.b === idB) || (r.a === idB && r.b === idA)) || null;
+  }
 
-    const iron = by('starts');
-    if (iron)
-      facts.push(`${iron.participant.name} är järnmannen med ${iron.starts} starter av ${stats.real.length} möjliga.`);
+  /**
+   * Editions with a round anniversary in `year` — 5, 10, 15… years since —
+   * newest first.
+   */
+  function anniversaries(stats, year, every = 5) {
+    return stats.byYearAsc
+      .map((comp) => ({ comp, years: year - comp.year }))
+      .filter((a) => a.years > 0 && a.years % every === 0)
+      .reverse();
+  }
+
+  const winnerNames = (comp) => comp.winners.join(' och ');
+
+  /**
+   * Round anniversaries in `year` of every win and every debut, newest
+   * first: { kind: 'win' | 'debut', years, comp, participant? }.
+   */
+  function jubilees(stats, year) {
+    const out = anniversaries(stats, year).map((a) => ({ kind: 'win', ...a }));
+    Object.values(stats.per).forEach((s) => {
+      const first = Math.min(...Object.keys(s.yearPositions).map(Number));
+      const years = year - first;
+      if (!Number.isFinite(first) || years <= 0 || years % 5 !== 0) return;
+      const comp = stats.byYearAsc.find((c) => c.year === first);
+      // Winning on debut is already covered by the win
+      if (comp.winners.includes(s.participant.name)) return;
+      out.push({ kind: 'debut', years, comp, participant: s.participant });
+    });
+    return out.sort((a, b) => a.years - b.years || (a.kind === 'win' ? -1 : 1));
+  }
 
-    const eligible = rows.filter((s) => s.starts >= 5);
-    if (eligible.length) {
-      const bestAvg = [...eligible].sort((a, b) => a.avg - b.avg)[0];
-      facts.push(`Bäst snittplacering (minst 5 starter): ${bestAvg.participant.name} med ${bestAvg.avg.toFixed(1)}.`);
+  /** One sentence for a jubilee, for the ticker and the "På dagen" card. */
+  function jubileeText(j) {
+    const where = j.comp.location ? ` i ${j.comp.location}` : '';
+    return j.kind === 'win'
+      ? `${j.years} år sedan ${winnerNames(j.comp)} vann ${j.comp.name.trim()}${where}.`
+      : `${j.years} år sedan ${j.participant.name} gjorde debut — ${j.comp.name.trim()} ${j.comp.year}.`;
+  }
+
+  /**
+   * Fact generators for the ticker. Each returns any number of facts for the
+   * data at hand, as { text, link, key }: `link` is a route the fact opens
+   * ('#profile/…', '#year/…', '#duel/…'), and facts sharing a `key` say the
+   * same thing, so only one of them is shown. A higher `weight` makes a
+   * generator's facts likelier to come early; `limit` caps how many of its
+   * facts make it into one visit. Add a generator here to teach the ticker
+   * something new.
+   */
+  const FACT_GENERATORS = [
+    {
+      id: 'most-wins',
+      weight: 3,
+      facts: ({ rows }) => {
+        const maxGold = Math.max(...rows.map((s) => s.gold));
+        if (maxGold <= 0) return [];
+        const leaders = rows.filter((s) => s.gold === maxGold);
+        const names = leaders.map((s) => s.participant.name);
+        return [
+          {
+            key: 'most-wins',
+            link: leaders.length === 1 ? `#profile/${leaders[0].participant.id}` : null,
+            text:
+              leaders.length > 1
+                ? `${names.join(' och ')} delar rekordet med ${maxGold} segrar var.`
+                : `${names[0]} har flest segrar — ${maxGold} stycken. Dominans.`
+          }
+        ];
+      }
+    },
+    {
+      id: 'career',
+      weight: 2,
+      facts: ({ stats, rows }) => {
+        const by = (key) => [...rows].sort((a, b) => b[key] - a[key])[0];
+        const out = [];
+        const iron = by('starts');
+        out.push({
+          key: 'iron',
+          link: `#profile/${iron.participant.id}`,
+          text: `${iron.participant.name} är järnmannen med ${iron.starts} starter av ${stats.real.length} möjliga.`
+        });
+
+        // By score rather than raw position, so a small early field doesn't flatter
+        const eligible = rows.filter((s) => s.starts >= 5);
+        if (eligible.length) {
+          const bestAvg = [...eligible].sort((a, b) => b.avgScore - a.avgScore)[0];
+          out.push({
+            key: 'best-avg',
+            link: `#profile/${bestAvg.participant.id}`,
+            text:
+              `Bäst snittplacering (minst 5 starter): ${bestAvg.participant.name} med ${Math.round(bestAvg.avgScore)} av 100 ` +
+              `i snitt räknat mot fältets storlek (${bestAvg.avg.toFixed(1)} i placering).`
+          });
+        }
+
+        const lasts = by('lasts');
+        if (lasts.lasts > 1)
+          out.push({
+            key: 'lasts',
+            link: `#profile/${lasts.participant.id}`,
+            text: `${lasts.participant.name} har flest sistaplatser — ${lasts.lasts} stycken. Någon måste ta dem.`
+          });
+
+        const host = by('hostCount');
+        if (host.hostCount > 0)
+          out.push({
+            key: 'host',
+            link: `#profile/${host.participant.id}`,
+            text: `Värdmästaren ${host.participant.name} har arrangerat ${host.hostCount} gånger.`
+          });
+
+        const silverNoGold = rows.filter((s) => s.gold === 0 && s.silver > 0).sort((a, b) => b.silver - a.silver)[0];
+        if (silverNoGold)
+          out.push({
+            key: 'silver-no-gold',
+            link: `#profile/${silverNoGold.participant.id}`,
+            text: `${silverNoGold.participant.name} har ${silverNoGold.silver} silver — men guldet väntar fortfarande.`
+          });
+
+        const locations = new Set(stats.real.map((c) => c.location).filter(Boolean));
+        out.push({
+          key: 'locations',
+          text: `Pokalen har avgjorts på ${locations.size} olika platser — från Höga kusten till Mälardalen.`
+        });
+        return out;
+      }
+    },
+    {
+      id: 'records',
+      weight: 2,
+      limit: 4,
+      facts: ({ stats }) => {
+        const out = computeRecords(stats)
+          .filter((rec) => rec.entries.length)
+          .map((rec) => {
+            const holders = rec.entries.filter((e) => e.rank === 1);
+            const [top] = holders;
+            const live = top.current ? ' — och sviten lever' : '';
+            return {
+              key: `record:${rec.id}`,
+              link: holders.length === 1 ? `#profile/${top.participant.id}` : null,
+              text: `${rec.title}: ${holders.map((e) => `${e.participant.name} (${e.years}${e.detail ? `, ${e.detail}` : ''})`).join(' och ')}, ${top.value} ${rec.unit}${live}.`
+            };
+          });
+        measurementRecords(stats).forEach((r) =>
+          out.push({ key: `measure:${r.key}`, link: `#year/${r.comp.year}`, text: r.text })
+        );
+        return out;
+      }
+    },
+    {
+      id: 'rivalries',
+      weight: 1.5,
+      limit: 2,
+      facts: ({ data, stats }) => {
+        const out = [];
+        const starters = data.participants.filter((p) => stats.per[p.id].starts > 0);
+        starters.forEach((a, i) =>
+          starters.slice(i + 1).forEach((b) => {
+            const h = headToHead(a.id, b.id, stats);
+            const n = h.meetings.length;
+            if (n < 6) return;
+            const link = `#duel/${a.id}/${b.id}`;
+            const key = `duel:${a.id}:${b.id}`;
+            if (Math.abs(h.winsA - h.winsB) <= 1) {
+              out.push({ key, link, text: `${a.name} mot ${b.name}: ${n} möten och ställningen ${h.winsA}–${h.winsB}. Jämnare blir det inte.` });
+            } else if (Math.min(h.winsA, h.winsB) <= n / 5) {
+              const [winner, loser, w, l] = h.winsA > h.winsB ? [a, b, h.winsA, h.winsB] : [b, a, h.winsB, h.winsA];
+              out.push({ key, link, text: `${winner.name} har slagit ${loser.name} ${w} gånger av ${n} — ${l} åt andra hållet.` });
+            }
+          })
+        );
+        return out;
+      }
+    },
+    {
+      id: 'anniversaries',
+      weight: 2.5,
+      limit: 2,
+      facts: ({ stats, year }) =>
+        jubilees(stats, year).map((j) => ({
+          key: j.kind === 'win' ? `anniversary:${j.comp.year}` : `debut:${j.participant.id}`,
+          link: j.kind === 'win' ? `#year/${j.comp.year}` : `#profile/${j.participant.id}`,
+          text: jubileeText(j)
+        }))
+    },
+    {
+      id: 'next-event',
+      weight: 2,
+      facts: ({ stats }) => {
+        const next = nextEventDate(stats);
+        const out = [];
+        if (next.location) {
+          const place = next.location.split(',')[0].trim();
+          const before = stats.byYearAsc.filter((c) => c.location && c.location.split(',')[0].trim() === place);
+          out.push({
+            key: 'next-location',
+            link: before.length ? `#year/${before[before.length - 1].year}` : null,
+            text: before.length
+              ? `Nästa tävling går i ${place}, där pokalen avgjorts ${before.length === 1 ? 'en gång' : `${before.length} gånger`} förut — senast ${before[before.length - 1].year}.`
+              : `Nästa tävling går i ${place} — en ny plats för pokalen.`
+          });
+        }
+        const { forecast } = App;
+        if (forecast && forecast.field.length) {
+          const fav = forecast.field[0];
+          out.push({
+            key: 'forecast',
+            link: `#profile/${fav}`,
+            text: `Prognosen inför ${next.date.getFullYear()}: ${stats.per[fav].participant.name} är favorit med ${fmtOdds(forecast.odds[fav].gold)} chans till guld.`
+          });
+        }
+        return out;
+      }
     }
+  ];
 
-    const lasts = by('lasts');
-    if (lasts && lasts.lasts > 1)
-      facts.push(`${lasts.participant.name} har flest sistaplatser — ${lasts.lasts} stycken. Någon måste ta dem.`);
+  /**
+   * Facts for this visit: every generator's output, de-duplicated by key
+   * (the heavier generator keeps it), then shuffled with the weights — a
+   * fresh order on every page load.
+   */
+  function computeFacts(data, stats) {
+    const ctx = {
+      data,
+      stats,
+      rows: Object.values(stats.per).filter((s) => s.starts > 0),
+      year: new Date().getFullYear()
+    };
+    if (!ctx.rows.length) return [];
+
+    const byKey = new Map();
+    FACT_GENERATORS.forEach((gen) => {
+      let facts = [];
+      try {
+        facts = gen.facts(ctx);
+      } catch (e) {
+        console.warn(`Fact generator ${gen.id} failed:`, e);
+      }
+      facts.forEach((f) => {
+        const fact = { link: null, ...f, source: gen.id, weight: gen.weight || 1 };
+        const key = fact.key || fact.text;
+        const held = byKey.get(key);
+        if (!held || fact.weight > held.weight) byKey.set(key, fact);
+      });
+    });
 
-    const host = by('hostCount');
-    if (host && host.hostCount > 0)
-      facts.push(`Värdmästaren ${host.participant.name} har arrangerat ${host.hostCount} gånger.`);
+    // Weighted shuffle (Efraimidis–Spirakis): heavier facts tend to come first
+    const shuffled = [...byKey.values()]
+      .map((f) => ({ f, order: Math.random() ** (1 / f.weight) }))
+      .sort((a, b) => b.order - a.order)
+      .map((x) => x.f);
+
+    const used = {};
+    return shuffled.filter((f) => {
+      const { limit } = FACT_GENERATORS.find((g) => g.id === f.source);
+      used[f.source] = (used[f.source] || 0) + 1;
+      return !limit || used[f.source] <= limit;
+    });
+  }
 
-    let bestClimb = null;
-    rows.forEach((s) => {
+  /**
+   * Every change of placing from one start to someone's next, whether or not
+   * they sat out in between. `diff` is positive for a climb.
+   */
+  function placingMoves(stats) {
+    const moves = [];
+    Object.values(stats.per).forEach((s) => {
       const years = Object.keys(s.yearPositions).map(Number).sort((a, b) => a - b);
       for (let i = 1; i < years.length; i++) {
-        const diff = s.yearPositions[years[i - 1]] - s.yearPositions[years[i]];
-        if (!bestClimb || diff > bestClimb.diff) {
-          bestClimb = { name: s.participant.name, diff, from: s.yearPositions[years[i - 1]], to: s.yearPositions[years[i]], year: years[i] };
-        }
+        const from = s.yearPositions[years[i - 1]];
+        const to = s.yearPositions[years[i]];
+        moves.push({ participant: s.participant, diff: from - to, from, to, fromYear: years[i - 1], year: years[i] });
       }
     });
-    if (bestClimb && bestClimb.diff > 3)
-      facts.push(`Största klättringen: ${bestClimb.name} gick från plats ${bestClimb.from} till ${bestClimb.to} år ${bestClimb.year}.`);
-
-    const silverNoGold = rows.filter((s) => s.gold === 0 && s.silver > 0).sort((a, b) => b.silver - a.silver)[0];
-    if (silverNoGold)
-      facts.push(`${silverNoGold.participant.name} har ${silverNoGold.silver} silver — men guldet väntar fortfarande.`);
+    return moves;
+  }
 
-    const locations = new Set(stats.real.map((c) => c.location).filter(Boolean));
-    facts.push(`Pokalen har avgjorts på ${locations.size} olika platser — från Höga kusten till Mälardalen.`);
-
-    return facts;
-  }
-
-
-  const LOCATION_COORDS = {
-    Varggropen: [63.2968, 18.7424],
-    Kroksta: [63.3179, 18.6751],
-    Billsta: [63.326, 18.5128],
-    Idbyn: [63.2423, 18.675],
-    Lomsjön: [63.3338, 18.6647],
-    Kungsholmen: [59.3359, 18.0123],
-    Bredbyn: [63.4447, 18.1064],
-    Ås: [63.2963, 18.6995],
-    Arnäsvall: [63.322, 18.816],
-    Stockholm: [59.3556, 18.0993],
-    Själevad: [63.2888, 18.5974],
-    'Eskilstuna/Västerås': [59.6008, 16.5992],
-    Uppsala: [59.8586, 17.6389],
-    Barcelona: [41.3874, 2.1686],
-    'Barcelona, Spanien': [41.3874, 2.1686]
+  const RECORD_LABELS = {
+    weight: 'Tyngsta fångsten',
+    points: 'Högsta poängen',
+    hits: 'Flest träffar',
+    time: 'Snabbaste tiden',
+    distance: 'Längsta resultatet'
   };
 
+  /**
+   * Best raw result of each kind per competition, e.g. the heaviest catch in
+   * Fiske. Points in a quiz and points in darts don't compare, so a record
+   * only ever stands against the same competition's other years. Plain
+   * scores and unknown units never make a record.
+   */
+  function measurementRecords(stats) {
+    const best = {};
+    stats.byYearAsc.forEach((comp) => {
+      const name = comp.name.trim();
+      Object.entries(comp.results).forEach(([id, m]) => {
+        if (!RECORD_LABELS[m.kind]) return;
+        const key = `${m.kind}:${name.toLowerCase()}`;
+        const cur = best[key];
+        const better = !cur || (m.lower ? m.value < cur.m.value : m.value > cur.m.value);
+        if (better) best[key] = { kind: m.kind, name, m, id, comp };
+      });
+    });
+    return Object.entries(best).map(([key, r]) => {
+      const p = stats.per[r.id].participant;
+      return {
+        key,
+        ...r,
+        text: `${RECORD_LABELS[r.kind]} i ${r.name}: ${p.name} med ${formatMeasurement(r.m)} ${r.comp.year}.`
+      };
+    });
+  }
+
+  // Lives in src/data/locations.js so the data validator can check `Plats`
+  // against the same list, in the browser and at build time.
+  const LOCATION_COORDS = window.LOCATION_COORDS || {};
+
   /* ======================================================================
      Theme
      ====================================================================== */
@@ -577,6 +1292,15 @@
     if (cfg) App.charts[id] = new Chart(canvas, cfg);
   }
 
+  /** Destroy a chart whose canvas is about to go, and forget how to rebuild it. */
+  function dropChart(id) {
+    if (App.charts[id]) {
+      App.charts[id].destroy();
+      delete App.charts[id];
+    }
+    delete App.chartBuilders[id];
+  }
+
   function rebuildCharts() {
     Object.keys(App.chartBuilders).forEach(buildChart);
   }
@@ -591,6 +1315,56 @@
     return g;
   }
 
+  /**
+   * Chart config for a bump chart: one line per person through their rank in
+   * each year, first place at the top. `series` is
+   * [{ label, color, ranks: {year: rank} }]; a year without a rank leaves a
+   * gap. `describe(series, year)` may return extra tooltip lines — why the
+   * rank moved, say.
+   */
+  function bumpChart(years, series, { describe } = {}) {
+    const maxRank = Math.max(1, ...series.flatMap((s) => Object.values(s.ranks)));
+    return {
+      type: 'line',
+      data: {
+        labels: years,
+        datasets: series.map((s) => ({
+          label: s.label,
+          data: years.map((y) => (s.ranks[y] != null ? s.ranks[y] : null)),
+          borderColor: s.color,
+          backgroundColor: s.color,
+          tension: 0.35,
+          pointRadius: 4,
+          pointHoverRadius: 7,
+          borderWidth: 3
+        }))
+      },
+      options: {
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', intersect: false },
+        plugins: {
+          legend: { position: 'bottom' },
+          tooltip: {
+            callbacks: {
+              label: (c) => ` ${c.dataset.label}: plats ${c.parsed.y}`,
+              afterLabel: (c) => (describe ? describe(series[c.datasetIndex], years[c.dataIndex]) || '' : '')
+            }
+          }
+        },
+        scales: {
+          x: { grid: { display: false } },
+          y: {
+            reverse: true,
+            min: 1,
+            max: maxRank,
+            grid: { color: cssVar('--chart-grid') },
+            ticks: { stepSize: 1, precision: 0 }
+          }
+        }
+      }
+    };
+  }
+
   /* ======================================================================
      Rendering — Översikt
      ====================================================================== */
@@ -601,20 +1375,32 @@
     crown: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="m2 18 2-11 5 5 3-7 3 7 5-5 2 11H2Z"/></svg>',
     star: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="m12 2 3.1 6.3 6.9 1-5 4.9 1.2 6.8L12 17.8 5.8 21l1.2-6.8-5-4.9 6.9-1L12 2Z"/></svg>',
     home: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M3 10.5 12 3l9 7.5"/><path d="M5 9.5V21h5v-6h4v6h5V9.5"/></svg>',
-    pin: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12S4 16 4 10a8 8 0 1 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>'
+    pin: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12S4 16 4 10a8 8 0 1 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>',
+    swords: '<svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M14.5 17.5 3 6V3h3l11.5 11.5M13 19l6-6M16 16l4 4M19 21l2-2M14.5 6.5 18 3h3v3l-3.5 3.5M5 14l4 4M7 17l-3 3M3 19l2 2"/></svg>'
   };
 
   function renderHero() {
     const { stats } = App;
     const champ = stats.champion;
     const { latest } = stats;
+    const joint = stats.champions.length > 1;
 
     $('#hero-champion').textContent = champ || 'Okänd';
     $('#hero-champion-meta').textContent = latest
-      ? `Vann ${latest.name.trim()} · ${latest.location || 'okänd plats'} · ${latest.year}`
+      ? `${joint ? 'Delade segern i' : 'Vann'} ${latest.name.trim()} · ${latest.location || 'okänd plats'} · ${latest.year}`
       : '';
 
-    if (champ) {
+    if (joint) {
+      $('#hero-champion-medals').innerHTML = stats.champions
+        .map((name) => {
+          const p = App.data.participants.find((x) => x.name === name);
+          const s = p ? stats.per[p.id] : null;
+          return s
+            ? `<span class="medal-chip"><span class="medal-dot gold"></span>${esc(shortName(name))} · ${s.gold} guld</span>`
+            : '';
+        })
+        .join('');
+    } else if (champ) {
       const p = App.data.participants.find((x) => x.name === champ);
       const s = p ? stats.per[p.id] : null;
       if (s) {
@@ -759,6 +1545,49 @@
     App.countdownTimer = setInterval(tick, 1000);
   }
 
+  /** Odds as a whole percentage, without claiming certainty either way. */
+  function fmtOdds(x) {
+    if (x > 0 && x < 0.005) return '<1 %';
+    if (x < 1 && x > 0.995) return '>99 %';
+    return `${Math.round(x * 100)} %`;
+  }
+
+  const FORECAST_ROWS = 5;
+
+  function renderForecast() {
+    const card = $('#forecast-card');
+    const { forecast } = App;
+    if (!card) return;
+    if (!forecast || !forecast.field.length) {
+      card.hidden = true;
+      return;
+    }
+    card.hidden = false;
+
+    const next = nextEventDate(App.stats);
+    $('#forecast-tag').textContent = String(next.date.getFullYear());
+    const rows = forecast.field.slice(0, FORECAST_ROWS).map((id) => {
+      const o = forecast.odds[id];
+      const { participant } = App.stats.per[id];
+      return `
+        <li class="forecast-row">
+          <span class="forecast-name">${personLink(shortName(participant.name), id)}</span>
+          <span class="forecast-bar" aria-hidden="true"><span style="width:${(o.gold * 100).toFixed(1)}%"></span></span>
+          <span class="forecast-val">${fmtOdds(o.gold)}</span>
+          <span class="forecast-val muted">${fmtOdds(o.podium)}</span>
+        </li>`;
+    });
+    $('#forecast-list').innerHTML = `
+      <li class="forecast-row forecast-legend" aria-hidden="true">
+        <span></span><span></span><span class="forecast-val">Guld</span><span class="forecast-val">Pallen</span>
+      </li>${rows.join('')}`;
+
+    const listed = App.event && App.event.participants && App.event.participants.length;
+    $('#forecast-note').textContent =
+      `${forecast.runs.toLocaleString('sv-SE')} simulerade tävlingar med ${forecast.field.length} ` +
+      `${listed ? 'anmälda' : 'aktiva'} deltagare — Elo plus var och ens spridning.`;
+  }
+
   function renderTicker() {
     const el = $('#fact-ticker');
     const dots = $('#ticker-dots');
@@ -766,11 +1595,22 @@
 
     dots.innerHTML = App.facts.map(() => '<span></span>').join('');
 
+    // A fact with a link opens the profile, year or duel it is about
+    const factHTML = (f) =>
+      f.link ? `<button class="ticker-link" data-link="${esc(f.link)}">${esc(f.text)}</button>` : esc(f.text);
+    if (!el.dataset.bound) {
+      el.dataset.bound = '1';
+      el.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-link]');
+        if (link) navigate(link.getAttribute('data-link'));
+      });
+    }
+
     const show = (i) => {
       App.tickerIndex = i % App.facts.length;
       el.classList.add('swap');
       setTimeout(() => {
-        el.textContent = App.facts[App.tickerIndex];
+        el.innerHTML = factHTML(App.facts[App.tickerIndex]);
         el.classList.remove('swap');
         $$('#ticker-dots span').forEach((d, di) =>
           d.classList.toggle('on', di === App.tickerIndex)
@@ -778,11 +1618,90 @@
       }, 250);
     };
 
-    el.textContent = App.facts[0];
+    el.innerHTML = factHTML(App.facts[0]);
     $$('#ticker-dots span')[0].classList.add('on');
     App.tickerTimer = setInterval(() => show(App.tickerIndex + 1), 6500);
   }
 
+  /* ---------- På dagen ---------- */
+
+  const DAY_MS = 86400000;
+
+  /**
+   * Dated editions by how far their date falls from `today` in this year's
+   * calendar: `days` is 0 on the day, negative if it has passed.
+   */
+  function calendarDistance(stats, today) {
+    const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return stats.byYearAsc
+      .filter((c) => c.date)
+      .map((comp) => {
+        const same = new Date(midnight.getFullYear(), comp.date.getMonth(), comp.date.getDate());
+        return { comp, days: Math.round((same - midnight) / DAY_MS), years: midnight.getFullYear() - comp.year };
+      })
+      .filter((x) => x.years > 0);
+  }
+
+  /**
+   * What happened on this day in earlier editions — or this week, within
+   * three days either way. With nothing that close, the next date coming up.
+   */
+  function onThisDay(stats, today = new Date()) {
+    const dated = calendarDistance(stats, today);
+    const close = dated.filter((x) => Math.abs(x.days) <= 3).sort((a, b) => Math.abs(a.days) - Math.abs(b.days));
+    if (close.length) return { mode: close.some((x) => x.days === 0) ? 'today' : 'week', items: close };
+    const ahead = dated
+      .map((x) => (x.days > 0 ? x : { ...x, days: x.days + 365, years: x.years + 1 }))
+      .sort((a, b) => a.days - b.days);
+    return { mode: 'next', items: ahead.slice(0, 1) };
+  }
+
+  function renderOnThisDay() {
+    const card = $('#onthisday-card');
+    if (!card) return;
+    const today = new Date();
+    const { mode, items } = onThisDay(App.stats, today);
+    const jubs = jubilees(App.stats, today.getFullYear());
+    if (!items.length && !jubs.length) {
+      card.hidden = true;
+      return;
+    }
+    card.hidden = false;
+
+    const day = (d) => d.toLocaleDateString('sv-SE', { day: 'numeric', month: 'long' });
+    const dagar = (n) => `${n} ${n === 1 ? 'dag' : 'dagar'}`;
+    const when = (days) => {
+      if (days === 0) return 'idag';
+      return days > 0 ? `om ${dagar(days)}` : `för ${dagar(-days)} sedan`;
+    };
+    $('#onthisday-sub').textContent = {
+      today: 'Det här hände på dagens datum',
+      week: 'Det här hände den här veckan',
+      next: 'Inget den här veckan — nästa datum i kalendern'
+    }[mode];
+
+    $('#onthisday-list').innerHTML = items
+      .map(({ comp, days, years }) => {
+        const where = comp.location ? ` i ${esc(comp.location)}` : '';
+        return `
+        <li>
+          <button class="otd-row" data-year="${comp.year}">
+            <span class="otd-date">${day(comp.date)} ${comp.year}</span>
+            <span class="otd-what">${esc(comp.name.trim())}${where} — ${esc(winnerNames(comp))} vann</span>
+            <span class="tag">${years} år · ${when(days)}</span>
+          </button>
+        </li>`;
+      })
+      .join('');
+
+    $('#jubilees').innerHTML = jubs
+      .map((j) => {
+        const attr = j.kind === 'win' ? `data-year="${j.comp.year}"` : `data-person="${j.participant.id}"`;
+        return `<button class="jubilee ${j.years % 10 === 0 ? 'big' : ''}" ${attr}><span aria-hidden="true">🎉</span> ${esc(jubileeText(j))}</button>`;
+      })
+      .join('');
+  }
+
   function animateCounter(el, target, suffix) {
     const dur = 1100;
     const start = performance.now();
@@ -819,7 +1738,7 @@
             : `${winsLeader.gold} vinster`;
         })()
       },
-      { icon: ICONS.star, value: stats.champion ? shortName(stats.champion) : '—', label: 'Regerande', sub: stats.latest ? `${stats.latest.name.trim()} ${stats.latest.year}` : '' },
+      { icon: ICONS.star, value: stats.champions.length ? stats.champions.map(shortName).join(' & ') : '—', label: 'Regerande', sub: stats.latest ? `${stats.latest.name.trim()} ${stats.latest.year}` : '' },
       { icon: ICONS.home, value: hostLeader && hostLeader.hostCount ? shortName(hostLeader.participant.name) : '—', label: 'Värdmästare', sub: hostLeader ? `${hostLeader.hostCount} arrangemang` : '' },
       { icon: ICONS.pin, value: locations.size, label: 'Platser', sub: 'besökta', count: true }
     ];
@@ -992,7 +1911,7 @@
         .sort((a, b) => a.year - b.year)
         .map(
           (c) =>
-            `<div><strong>${c.year}</strong> · ${esc(c.name.trim())}${c.winner ? ` — 🏆 ${esc(shortName(c.winner))}` : ''}</div>`
+            `<div><strong>${c.year}</strong> · ${esc(c.name.trim())}${c.winners.length ? ` — 🏆 ${esc(c.winners.map(shortName).join(' & '))}` : ''}</div>`
         )
         .join('');
       marker.bindPopup(`<div style="font-weight:700;margin-bottom:4px">${esc(name)}</div>${rows}`);
@@ -1083,6 +2002,21 @@
 
     renderMedalTable();
     initMedalSort();
+    renderMedalTabs();
+
+    registerChart('medal-bump', () => {
+      const history = medalRankHistory(App.data, App.stats);
+      return bumpChart(
+        history.years,
+        rank.map((s, i) => ({
+          id: s.participant.id,
+          label: shortName(s.participant.name),
+          color: PALETTE[i % PALETTE.length],
+          ranks: history.ranks[s.participant.id] || {}
+        })),
+        { describe: (series, year) => describeRankSwap(series.id, year, history) }
+      );
+    });
 
     registerChart('medal-chart', () => {
       const withMedals = rank.filter((s) => s.total > 0);
@@ -1115,7 +2049,8 @@
     gold: (a, b) => b.gold - a.gold,
     silver: (a, b) => b.silver - a.silver,
     bronze: (a, b) => b.bronze - a.bronze,
-    total: (a, b) => b.total - a.total
+    total: (a, b) => b.total - a.total,
+    avg: (a, b) => (App.scoreMode === 'normalised' ? b.avgScore - a.avgScore : a.avg - b.avg)
   };
 
   function renderMedalTable() {
@@ -1140,11 +2075,12 @@
         return `
         <tr>
           <td class="rank-col"><span class="rank-badge ${r <= 3 ? `r${r}` : ''}">${r}</span></td>
-          <td><div class="person-cell"><span class="avatar" style="border-color:hsl(${nameHue(s.participant.name)} 60% 60% / .6)">${esc(initials(s.participant.name))}</span>${personLink(s.participant.name, s.participant.id)}</div></td>
-          <td class="num-col">${s.gold}</td>
-          <td class="num-col">${s.silver}</td>
-          <td class="num-col">${s.bronze}</td>
+          <td><div class="person-cell"><span class="avatar" style="border-color:${avatarColor(s.participant.name, 0.6)}">${esc(initials(s.participant.name))}</span>${personLink(s.participant.name, s.participant.id)}</div></td>
+          <td class="num-col">${medalCount(s, 'gold')}</td>
+          <td class="num-col">${medalCount(s, 'silver')}</td>
+          <td class="num-col">${medalCount(s, 'bronze')}</td>
           <td class="num-col">${s.total}</td>
+          <td class="num-col avg-col">${fmtAverage(s.avg, s.avgScore)}</td>
           <td class="bar-col"><div class="medal-bar"><span class="g" style="width:${g}%"></span><span class="s" style="width:${sv}%"></span><span class="b" style="width:${b}%"></span></div></td>
         </tr>`;
       })
@@ -1159,6 +2095,237 @@
     });
   }
 
+  /**
+   * Tooltip lines for one person and year in the medal-table bump chart: the
+   * result that year and whom it carried them past — or who got past them.
+   */
+  function describeRankSwap(id, year, history) {
+    const { ranks, years } = history;
+    const prevYear = years[years.indexOf(year) - 1];
+    const comp = App.stats.byYearAsc.find((c) => c.year === year);
+    const pos = comp.scores[id];
+    const medal = { 1: 'guld', 2: 'silver', 3: 'brons' }[pos];
+    const lines = [pos != null ? `${medal || `plats ${pos}`} i ${comp.name.trim()}` : 'stod över'];
+    if (prevYear == null || ranks[id][prevYear] == null) return lines;
+
+    const names = (ids) => ids.map((x) => shortName(App.stats.per[x].participant.name)).join(', ');
+    const others = Object.keys(ranks).filter((x) => x !== id && ranks[x][year] != null);
+    // Someone not yet in the table ranks below everyone, so a debut win passes people too
+    const rankOf = (x, y) => (ranks[x][y] != null ? ranks[x][y] : Infinity);
+    const before = (a, b, y) => rankOf(a, y) < rankOf(b, y);
+    const passed = others.filter((x) => before(x, id, prevYear) && before(id, x, year));
+    const passedBy = others.filter((x) => before(id, x, prevYear) && before(x, id, year));
+    if (passed.length) lines.push(`Gick förbi ${names(passed)}`);
+    if (passedBy.length) lines.push(`Passerades av ${names(passedBy)}`);
+    return lines;
+  }
+
+  /* ---------- Maratontabell ---------- */
+
+  const F1_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+  /**
+   * Points per placing for the marathon table. `points(pos, size)` gets the
+   * placing and the number of starters; a shared placing scores the same for
+   * everyone on it. Add a scheme here and it turns up as a choice.
+   */
+  const POINT_SCHEMES = [
+    {
+      id: 'f1',
+      label: 'F1',
+      description: 'Poäng som i Formel 1: 25, 18, 15, 12, 10, 8, 6, 4, 2 och 1 till de tio första.',
+      points: (pos) => F1_POINTS[pos - 1] || 0
+    },
+    {
+      id: 'field',
+      label: 'N − placering',
+      description: 'En poäng per startande man slår: att vinna bland tolv ger 11, sist ger 0.',
+      points: (pos, size) => size - pos
+    }
+  ];
+
+  /**
+   * All-time points table under `scheme`. Returns { years, rows, ranks }:
+   * rows best first, each with points and running total per year, and
+   * ranks[id][year] = place in the table after that year, from one's first
+   * start on. Equal totals share a place.
+   */
+  function computeMarathon(stats, scheme) {
+    const years = stats.byYearAsc.map((c) => c.year);
+    const rows = Object.values(stats.per)
+      .filter((s) => s.starts > 0)
+      .map((s) => ({ participant: s.participant, starts: s.starts, total: 0, points: {}, cumulative: {} }));
+    const ranks = {};
+    rows.forEach((r) => (ranks[r.participant.id] = {}));
+
+    stats.byYearAsc.forEach((comp) => {
+      const size = Object.keys(comp.scores).length;
+      rows.forEach((r) => {
+        const pos = comp.scores[r.participant.id];
+        if (pos != null) {
+          r.points[comp.year] = scheme.points(pos, size);
+          r.total += r.points[comp.year];
+          r.started = true;
+        }
+        if (r.started) r.cumulative[comp.year] = r.total;
+      });
+      const table = rows.filter((r) => r.started).sort((a, b) => b.total - a.total);
+      table.forEach((r, i) => {
+        const prev = table[i - 1];
+        ranks[r.participant.id][comp.year] =
+          prev && prev.total === r.total ? ranks[prev.participant.id][comp.year] : i + 1;
+      });
+    });
+
+    rows.sort((a, b) => b.total - a.total || a.starts - b.starts);
+    rows.forEach((r) => delete r.started);
+    return { years, rows, ranks };
+  }
+
+  function renderMedalTabs() {
+    const tabs = $('#medal-tabs');
+    if (!tabs.dataset.bound) {
+      tabs.dataset.bound = '1';
+      tabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-tab]');
+        if (!tab || tab.dataset.tab === App.medalTab) return;
+        App.medalTab = tab.dataset.tab;
+        renderMedalTabs();
+      });
+    }
+    const marathon = App.medalTab === 'marathon';
+    $$('#medal-tabs [data-tab]').forEach((b) => {
+      const on = b.dataset.tab === App.medalTab;
+      b.classList.toggle('active', on);
+      b.setAttribute('aria-selected', String(on));
+    });
+    $('#medals-olympic').hidden = marathon;
+    $('#medals-marathon').hidden = !marathon;
+    $('#medals-sub').textContent = marathon
+      ? 'Poäng för varje placering, summerade över alla år.'
+      : 'Olympisk sortering — guld väger tyngst.';
+    if (marathon) renderMarathon();
+    observeReveals();
+  }
+
+  function renderMarathon() {
+    const scheme = POINT_SCHEMES.find((x) => x.id === App.pointScheme) || POINT_SCHEMES[0];
+    const { years, rows, ranks } = computeMarathon(App.stats, scheme);
+
+    const picker = $('#marathon-schemes');
+    if (!picker.dataset.bound) {
+      picker.dataset.bound = '1';
+      picker.addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip || chip.dataset.scheme === App.pointScheme) return;
+        App.pointScheme = chip.dataset.scheme;
+        renderMarathon();
+      });
+    }
+    picker.innerHTML = POINT_SCHEMES.map(
+      (x) =>
+        `<button class="chip ${x.id === scheme.id ? 'active' : ''}" data-scheme="${x.id}" title="${esc(x.description)}">${esc(x.label)}</button>`
+    ).join('');
+    $('#marathon-desc').textContent = `${scheme.description} Siffrorna är totalen efter varje år.`;
+
+    const head = years.map((y) => `<th class="num-col">${String(y).slice(2)}</th>`).join('');
+    const body = rows
+      .map((r, i) => {
+        const { id } = r.participant;
+        const cells = years
+          .map((y) => {
+            if (r.cumulative[y] == null) return '<td class="num-col marathon-cell empty">·</td>';
+            const pts = r.points[y];
+            const title = pts != null ? `${y}: +${pts} poäng` : `${y}: deltog ej`;
+            return `<td class="num-col marathon-cell ${pts == null ? 'idle' : ''}" title="${title}">${r.cumulative[y]}</td>`;
+          })
+          .join('');
+        const rank = ranks[id][years[years.length - 1]] || i + 1;
+        return `
+        <tr>
+          <td class="rank-col"><span class="rank-badge ${rank <= 3 ? `r${rank}` : ''}">${rank}</span></td>
+          <td class="marathon-name">${personLink(shortName(r.participant.name), id)}</td>
+          ${cells}
+          <td class="num-col marathon-total">${r.total}</td>
+        </tr>`;
+      })
+      .join('');
+    $('#marathon-table').innerHTML = `
+      <table class="medal-table marathon-table">
+        <thead><tr><th class="rank-col">#</th><th>Deltagare</th>${head}<th class="num-col">Totalt</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>`;
+
+    registerChart('marathon-bump', () =>
+      bumpChart(
+        years,
+        rows.map((r, i) => ({
+          id: r.participant.id,
+          label: shortName(r.participant.name),
+          color: PALETTE[i % PALETTE.length],
+          ranks: ranks[r.participant.id]
+        })),
+        {
+          describe: (s, year) => {
+            const row = rows.find((r) => r.participant.id === s.id);
+            const pts = row.points[year];
+            return `${pts != null ? `+${pts}` : 'Stod över'} · ${row.cumulative[year]} totalt`;
+          }
+        }
+      )
+    );
+  }
+
+  /**
+   * The two ways to read a placing. Raw is the position itself; normalised is
+   * placementScore, which puts 3rd of 3 and 3rd of 12 on the same 0–100 scale.
+   */
+  const SCORE_MODES = [
+    { id: 'raw', label: 'Placering', title: 'Faktisk placering — lägre är bättre' },
+    { id: 'normalised', label: 'Poäng 0–100', title: 'Placeringen räknad mot antalet startande: vinnaren får 100, sist 0' }
+  ];
+
+  const isNormalised = () => App.scoreMode === 'normalised';
+
+  /** An average in the current mode: "3.4" as a placing, "72" as a score. */
+  function fmtAverage(avg, avgScore) {
+    if (avg == null) return '—';
+    return isNormalised() ? String(Math.round(avgScore)) : avg.toFixed(1);
+  }
+
+  /** Every raw/normalised toggle on the page, kept in step with each other. */
+  function renderScoreModes() {
+    $$('.score-mode').forEach((row) => {
+      row.innerHTML = SCORE_MODES.map(
+        (m) =>
+          `<button class="chip ${m.id === App.scoreMode ? 'active' : ''}" data-mode="${m.id}" aria-pressed="${m.id === App.scoreMode}" title="${esc(m.title)}">${esc(m.label)}</button>`
+      ).join('');
+      if (row.dataset.bound) return;
+      row.dataset.bound = '1';
+      row.addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip || chip.dataset.mode === App.scoreMode) return;
+        App.scoreMode = chip.dataset.mode;
+        renderScoreModes();
+        renderMedalTable();
+        renderStatsView();
+      });
+    });
+    $('#avg-col-head').firstChild.textContent = isNormalised() ? 'Poäng' : 'Snitt';
+    $('#trend-sub').textContent = isNormalised() ? 'Högre är bättre — 100 är seger' : 'Lägre är bättre — 1 är seger';
+    $('#avg-sub').textContent = isNormalised()
+      ? 'Snittpoäng över valda år, räknat mot antalet startande'
+      : 'Genomsnitt över valda år';
+  }
+
+  /** Medal tally for the table, flagging how many of them were shared. */
+  function medalCount(s, medal) {
+    const n = s.shared[medal];
+    return n
+      ? `${s[medal]}<sup class="shared-sup" title="varav ${n} ${n === 1 ? 'delad' : 'delade'}">=</sup>`
+      : String(s[medal]);
+  }
+
   function initMedalSort() {
     $$('#medal-table thead th[data-sort]').forEach((th) => {
       if (th.dataset.bound) return;
@@ -1172,6 +2339,164 @@
     });
   }
 
+  /* ======================================================================
+     Rendering — Rekordboken
+     ====================================================================== */
+
+  /**
+   * Runs of consecutive editions, per person, where `test(pos)` holds. A
+   * missed edition ends a run — unless `overStarts`, when only one's own
+   * starts count and a year away doesn't break it. The cancelled 2020 was
+   * never an edition, so it breaks nothing. A run is `current` while nothing
+   * has ended it: it reaches the latest edition, or for `overStarts` the
+   * person isn't inactive.
+   */
+  function streaks(stats, test, { overStarts = false } = {}) {
+    const runs = [];
+    const latest = stats.latest ? stats.latest.year : null;
+    Object.values(stats.per)
+      .filter((s) => s.starts > 0)
+      .forEach((s) => {
+        let run = null;
+        const close = () => {
+          if (run) runs.push(run);
+          run = null;
+        };
+        stats.byYearAsc.forEach((comp) => {
+          const pos = s.yearPositions[comp.year];
+          if (pos == null) {
+            if (!overStarts) close();
+            return;
+          }
+          if (!test(pos)) {
+            close();
+            return;
+          }
+          if (!run) run = { participant: s.participant, length: 0, from: comp.year, current: false };
+          run.length++;
+          run.to = comp.year;
+        });
+        if (run) run.current = overStarts ? !inactivity(s.participant.id).inactive : run.to === latest;
+        close();
+      });
+    return runs;
+  }
+
+  /**
+   * The top of one record: each person's best entry, best first, cut after
+   * the third place (ties share a place, so there may be more rows).
+   */
+  function recordTop(entries, minValue = 1) {
+    const best = {};
+    entries.forEach((e) => {
+      const { id } = e.participant;
+      const held = best[id];
+      if (!held || e.value > held.value || (e.value === held.value && e.current && !held.current)) best[id] = e;
+    });
+    const sorted = Object.values(best)
+      .filter((e) => e.value >= minValue)
+      .sort((a, b) => b.value - a.value || Boolean(b.current) - Boolean(a.current));
+    sorted.forEach((e, i) => (e.rank = i > 0 && sorted[i - 1].value === e.value ? sorted[i - 1].rank : i + 1));
+    return sorted.filter((e) => e.rank <= 3);
+  }
+
+  const yearSpan = (from, to) => (from === to ? String(from) : `${from}–${to}`);
+
+  /** Every record in the book, in the order shown. */
+  function computeRecords(stats) {
+    const fromRuns = (runs) =>
+      runs.map((r) => ({ participant: r.participant, value: r.length, years: yearSpan(r.from, r.to), current: r.current }));
+    const fromMoves = (moves, sign) =>
+      moves.map((m) => ({
+        participant: m.participant,
+        value: sign * m.diff,
+        years: `${m.fromYear} → ${m.year}`,
+        detail: `plats ${m.from} → ${m.to}`
+      }));
+    const winningFields = stats.byYearAsc.flatMap((comp) =>
+      Object.entries(comp.scores)
+        .filter(([, pos]) => pos === 1)
+        .map(([id]) => ({
+          participant: stats.per[id].participant,
+          value: comp.participantCount,
+          years: String(comp.year),
+          detail: comp.name.trim()
+        }))
+    );
+
+    return [
+      {
+        id: 'podium-streak',
+        title: 'Längsta pallsviten',
+        unit: 'tävlingar i rad på pallen',
+        entries: recordTop(fromRuns(streaks(stats, (pos) => pos <= 3)), 2)
+      },
+      {
+        id: 'win-streak',
+        title: 'Längsta segersviten',
+        unit: 'segrar i rad',
+        entries: recordTop(fromRuns(streaks(stats, (pos) => pos === 1)), 2)
+      },
+      {
+        id: 'start-streak',
+        title: 'Flest raka starter',
+        unit: 'tävlingar i rad',
+        entries: recordTop(fromRuns(streaks(stats, () => true)), 2)
+      },
+      {
+        id: 'winless',
+        title: 'Längsta väntan på seger',
+        unit: 'starter utan guld',
+        entries: recordTop(fromRuns(streaks(stats, (pos) => pos !== 1, { overStarts: true })), 2)
+      },
+      {
+        id: 'climb',
+        title: 'Största klättringen',
+        unit: 'placeringar uppåt till nästa start',
+        entries: recordTop(fromMoves(placingMoves(stats), 1))
+      },
+      {
+        id: 'fall',
+        title: 'Största raset',
+        unit: 'placeringar nedåt till nästa start',
+        entries: recordTop(fromMoves(placingMoves(stats), -1))
+      },
+      {
+        id: 'winning-field',
+        title: 'Största segerfältet',
+        unit: 'startande i tävlingen man vann',
+        entries: recordTop(winningFields)
+      }
+    ];
+  }
+
+  function renderRecords() {
+    const records = computeRecords(App.stats);
+    $('#record-grid').innerHTML = records
+      .map((rec, i) => {
+        const [top] = rec.entries;
+        const rows = rec.entries
+          .map(
+            (e) => `
+            <li class="record-row ${e.rank === 1 ? 'holder' : ''}">
+              <span class="record-rank">${e.rank}</span>
+              <span class="record-name">${personLink(shortName(e.participant.name), e.participant.id)}</span>
+              <span class="record-years" ${e.detail ? `title="${esc(e.detail)}"` : ''}>${esc(e.years)}</span>
+              ${e.current ? '<span class="tag record-live" title="Rekordet lever — sviten pågår fortfarande">aktuell</span>' : ''}
+              <span class="record-val">${e.value}</span>
+            </li>`
+          )
+          .join('');
+        return `
+        <div class="card record-card stagger" style="--stagger-i:${Math.min(i, 8)}">
+          <div class="eyebrow">${esc(rec.title)}</div>
+          ${top ? `<div class="record-value">${top.value}<span>${esc(rec.unit)}</span></div>` : ''}
+          ${rows ? `<ol class="record-list">${rows}</ol>` : '<p class="h2h-empty">Ingen ännu.</p>'}
+        </div>`;
+      })
+      .join('');
+  }
+
   /* ======================================================================
      Rendering — Historik
      ====================================================================== */
@@ -1195,15 +2520,15 @@
           </div>`;
         }
 
-        const podium = [1, 2, 3]
-          .map((pos) => {
-            const entry = Object.entries(comp.scores).find(([, v]) => v === pos);
-            if (!entry) return '';
-            const p = App.data.participants.find((x) => x.id === entry[0]);
-            const cls = pos === 1 ? 'gold' : pos === 2 ? 'silver' : 'bronze';
-            return `<span class="tl-medal"><span class="medal-dot ${cls}"></span>${
+        // Everyone on a medal placing — a shared place lists each holder
+        const podium = Object.entries(comp.scores)
+          .filter(([, v]) => v <= 3)
+          .sort((a, b) => a[1] - b[1])
+          .map(([pid, pos]) => {
+            const p = App.data.participants.find((x) => x.id === pid);
+            return `<span class="tl-medal"><span class="medal-dot ${medalClassFor(pos)}"></span>${
               p ? personLink(shortName(p.name), p.id) : '?'
-            }</span>`;
+            }${comp.shared.has(pid) ? sharedBadge() : ''}</span>`;
           })
           .join('');
 
@@ -1291,24 +2616,100 @@
     const defById = {};
     defs.forEach((d) => (defById[d.id] = d));
 
+    // A definition whose rule the engine cannot evaluate throws here on purpose,
+    // so it surfaces as a load error instead of an achievement nobody can earn
     let byName = {};
-    try {
-      if (window.AchievementEngine) {
-        const engine = new window.AchievementEngine();
-        byName = engine.calculateAllAchievements(App.data.competitions, App.data.participants) || {};
-      }
-    } catch (e) {
-      byName = {};
+    let history = {};
+    let lineage = {};
+    let progress = {};
+    let engine = null;
+    if (window.AchievementEngine) {
+      engine = new window.AchievementEngine();
+      byName = engine.calculateAllAchievements(App.data.competitions, App.data.participants) || {};
+      history = engine.calculateUnlockHistory(App.stats.byYearAsc, App.data.participants) || {};
+      lineage = engine.calculateTitleLineage(App.stats.byYearAsc, App.data.participants) || {};
+      progress = engine.calculateProgress(App.stats.byYearAsc, App.data.participants) || {};
     }
 
-    // Normalize: entries may be ids or objects
+    // Held is what the rules say today: a lasting rule, once met, stays met,
+    // and the rest drop off when they stop holding. Entries may be ids or objects
     Object.keys(byName).forEach((name) => {
       byName[name] = (byName[name] || [])
         .map((a) => (typeof a === 'string' ? a : a && a.id))
         .filter((id) => id && defById[id]);
     });
 
-    App.achievements = { defs, defById, byName };
+    // Each holder's spells per title, in years: { holder, from, until } with until null today
+    const titles = {};
+    Object.entries(lineage).forEach(([id, spells]) => {
+      titles[id] = spells.map((r) => ({ holder: r.holder, from: r.from.year, until: r.until ? r.until.year : null }));
+    });
+
+    // Year each badge was unlocked, and who got there first (ties share it).
+    // A title held today counts from the start of the holder's spell, and its
+    // first holders come from the lineage. Other rules that can be lost have
+    // no first: they can be met early and lost again.
+    const unlockedIn = {};
+    const firsts = {};
+    Object.entries(history).forEach(([name, editions]) => {
+      unlockedIn[name] = {};
+      Object.entries(editions).forEach(([id, comp]) => {
+        if (!defById[id]) return;
+        const spell = (titles[id] || []).find((r) => r.until == null && r.holder === name);
+        unlockedIn[name][id] = spell ? spell.from : comp.year;
+        if (!window.AchievementEngine.isLasting(defById[id].rule)) return;
+        const first = firsts[id];
+        if (!first || comp.year < first.year) firsts[id] = { year: comp.year, names: [name] };
+        else if (comp.year === first.year) first.names.push(name);
+      });
+    });
+    Object.entries(titles).forEach(([id, spells]) => {
+      if (!spells.length) return;
+      const year = spells[0].from;
+      firsts[id] = { year, names: spells.filter((r) => r.from === year).map((r) => r.holder) };
+    });
+
+    // Who is closest to each badge they don't have yet, nearest first
+    const closest = {};
+    Object.entries(progress).forEach(([name, byId]) => {
+      Object.entries(byId).forEach(([id, p]) => {
+        if (!defById[id] || !p.have || (byName[name] || []).includes(id)) return;
+        (closest[id] ||= []).push({ name, ...p });
+      });
+    });
+    Object.values(closest).forEach((list) =>
+      list.sort((a, b) => a.need - a.have - (b.need - b.have) || b.have - a.have)
+    );
+
+    App.achievements = { defs, defById, byName, unlockedIn, firsts, titles, closest, engine };
+  }
+
+  /**
+   * What next year's result would unlock for one participant, in a field the
+   * size of the latest one: [{ places, ids }], the badges grouped by exactly
+   * which placings unlock them, best placings first.
+   */
+  function nextGoals(p) {
+    const { engine, byName } = App.achievements;
+    if (!engine || !App.stats.latest) return [];
+    const held = new Set(byName[p.name] || []);
+    const outcomes = engine.calculateNextEdition(p, App.stats.byYearAsc, App.data.participants,
+      App.stats.latest.participantCount);
+    const placesFor = {};
+    outcomes.forEach(({ pos, ids }) =>
+      ids.filter((aid) => !held.has(aid)).forEach((aid) => (placesFor[aid] ||= []).push(pos))
+    );
+    const groups = {};
+    Object.entries(placesFor).forEach(([aid, places]) => {
+      (groups[places.join()] ||= { places, ids: [] }).ids.push(aid);
+    });
+    return Object.values(groups).sort((x, y) => x.places[0] - y.places[0] || x.places.length - y.places.length);
+  }
+
+  /** One badge, as in the participant cards; the tooltip says when it came. */
+  function achBadge(d, year) {
+    const when = year ? ` (${year})` : '';
+    return `<span class="badge rarity-${esc(d.rarity)}" title="${esc(d.name)} — ${esc(d.desc)}${when}">${d.icon}</span>`;
   }
 
   function renderAchievements() {
@@ -1361,7 +2762,7 @@
         return `
         <div class="card pcard stagger" style="--stagger-i:${Math.min(i, 8)}">
           <div class="pcard-top">
-            <span class="avatar" style="width:42px;height:42px;font-size:.85rem;border-color:hsl(${nameHue(name)} 60% 60% / .6)">${esc(initials(name))}</span>
+            <span class="avatar" style="width:42px;height:42px;font-size:.85rem;border-color:${avatarColor(name, 0.6)}">${esc(initials(name))}</span>
             <div>
               <div class="pcard-name">${
   (App.data.participants.find((p) => p.name === name) || {}).id
@@ -1406,6 +2807,49 @@
     );
 
     renderAchievementGrid(holdersByAch);
+    renderTitles();
+  }
+
+  /**
+   * Every title that has been held, title-belt style: today's holders on top,
+   * then every holder's spell, newest first.
+   */
+  function renderTitles() {
+    const { defs, titles } = App.achievements;
+    const byName = {};
+    App.data.participants.forEach((p) => (byName[p.name] = p));
+    const who = (n) => (byName[n] ? personLink(shortName(n), byName[n].id) : esc(shortName(n)));
+
+    $('#ach-titles').innerHTML = defs
+      .filter((d) => d.title && (titles[d.id] || []).length)
+      .map((d, i) => {
+        const spells = titles[d.id].slice().reverse();
+        const holding = spells.filter((r) => r.until == null);
+        // Co-holders have shared it since the latest of them took it
+        const headline = holding.length ? esc(holding.map((r) => shortName(r.holder)).join(', ')) : 'Vakant';
+        const since = holding.length
+          ? `sedan ${Math.max(...holding.map((r) => r.from))}`
+          : `senast ${Math.max(...spells.map((r) => r.until))}`;
+        const rows = spells
+          .map(
+            (r, n) => `
+            <li class="record-row ${r.until == null ? 'holder' : ''}">
+              <span class="record-rank">${spells.length - n}</span>
+              <span class="record-name">${who(r.holder)}</span>
+              <span class="record-years">${r.from}–${r.until == null ? '' : r.until}</span>
+              ${r.until == null ? '<span class="tag record-live">innehavare</span>' : ''}
+            </li>`
+          )
+          .join('');
+        return `
+        <div class="card record-card title-card rarity-${esc(d.rarity)} stagger" style="--stagger-i:${Math.min(i, 8)}">
+          <div class="eyebrow">${d.icon} ${esc(d.name)}</div>
+          <div class="record-value">${headline}<span>${since}</span></div>
+          <p class="title-desc">${esc(d.desc)}</p>
+          <ol class="record-list">${rows}</ol>
+        </div>`;
+      })
+      .join('');
   }
 
   function renderAchievementGrid(holdersByAch) {
@@ -1430,9 +2874,24 @@
       .map((d, i) => {
         const holders = holdersByAch[d.id];
         const unlocked = holders.length > 0;
-        const holderText = unlocked
-          ? `<strong>${holders.map(shortName).map(esc).join(', ')}</strong>`
-          : 'Ingen har låst upp denna än';
+        const first = App.achievements.firsts[d.id];
+        const holding = (App.achievements.titles[d.id] || []).filter((r) => r.until == null);
+        const names = `<strong>${holders.map(shortName).map(esc).join(', ')}</strong>`;
+        let holderText = unlocked ? names : 'Ingen har låst upp denna än';
+        if (d.title) {
+          holderText = unlocked && holding.length
+            ? `Titel · innehas av ${names} sedan ${Math.max(...holding.map((r) => r.from))}`
+            : 'Titel · vakant';
+        }
+        const firstText = first
+          ? `<div class="ach-first">Först att låsa upp: ${first.names.map(shortName).map(esc).join(', ')} ${first.year}</div>`
+          : '';
+        const closest = (App.achievements.closest[d.id] || []).slice(0, 3);
+        const closestText = closest.length
+          ? `<div class="ach-first">Närmast att låsa upp: ${closest
+            .map((c) => `${esc(shortName(c.name))} ${c.have}/${c.need}`)
+            .join(' · ')}</div>`
+          : '';
         return `
         <div class="ach-card rarity-${esc(d.rarity)} ${unlocked ? '' : 'locked'} stagger" style="--stagger-i:${Math.min(i % 12, 11)}">
           <span class="ach-icon">${unlocked ? d.icon : '🔒'}</span>
@@ -1440,6 +2899,8 @@
             <div class="ach-name">${esc(d.name)}</div>
             <div class="ach-desc">${esc(d.desc)}</div>
             <div class="ach-holders">${holderText}</div>
+            ${firstText}
+            ${closestText}
           </div>
           <span class="ach-rarity">${esc(rarityLabels[d.rarity] || d.rarity)}</span>
         </div>`;
@@ -1447,6 +2908,236 @@
       .join('');
   }
 
+  /* ======================================================================
+     Rendering — Scenario
+     ====================================================================== */
+
+  /**
+   * Next year's field in the order the simulator starts from: most likely
+   * finish first (the forecast's mean placing), or by Elo without a forecast.
+   */
+  function scenarioDefault() {
+    const { odds } = App.forecast || {};
+    const field = forecastField().map((p) => p.id);
+    if (odds) return field.sort((a, b) => (odds[a] ? odds[a].meanPos : 99) - (odds[b] ? odds[b].meanPos : 99));
+    const rating = {};
+    App.eloDefault.current.forEach((e) => (rating[e.participant.id] = e.rating));
+    return field.sort((a, b) => (rating[b] || 0) - (rating[a] || 0));
+  }
+
+  /**
+   * A made-up competition for the year after the latest one, shaped like the
+   * ones processData builds. The hosts follow the tradition: last year's
+   * third and second-last.
+   */
+  function scenarioEdition(order) {
+    const { latest } = App.stats;
+    const nameAt = (pos) => {
+      const id = Object.keys(latest.scores).find((x) => latest.scores[x] === pos);
+      return id ? App.stats.per[id].participant.name : '';
+    };
+    const scores = {};
+    order.forEach((id, i) => (scores[id] = i + 1));
+    const winners = order.length ? [App.stats.per[order[0]].participant.name] : [];
+    return {
+      id: 'scenario',
+      year: latest.year + 1,
+      date: null,
+      name: 'Scenario',
+      location: (App.event && App.event.location) || '',
+      winner: winners[0] || null,
+      winners,
+      scores,
+      results: {},
+      shared: new Set(),
+      arranger3rd: nameAt(3),
+      arrangerSecondLast: nameAt(latest.participantCount - 1),
+      participantCount: order.length,
+      isCovid: false
+    };
+  }
+
+  /**
+   * Everything the scenario would change, per participant: badges gained,
+   * titles lost, Elo and place in the medal table before and after. Only
+   * the scenario's field and anyone else it affects are included.
+   */
+  function runScenario(order) {
+    const data = { ...App.data, competitions: [scenarioEdition(order), ...App.data.competitions] };
+    const stats = computeStats(data);
+    const elo = computeElo(data, stats);
+    const held = new window.AchievementEngine().calculateAllAchievements(data.competitions, data.participants);
+    const { defs, byName } = App.achievements;
+
+    const ratingIn = (list) => {
+      const out = {};
+      list.forEach((e) => (out[e.participant.id] = e.rating));
+      return out;
+    };
+    const rankIn = (list) => {
+      const out = {};
+      list.forEach((s, i) => (out[s.participant.id] = i + 1));
+      return out;
+    };
+    const [eloBefore, eloAfter] = [ratingIn(App.eloDefault.current), ratingIn(elo.current)];
+    const [rankBefore, rankAfter] = [rankIn(App.stats.medalRank), rankIn(stats.medalRank)];
+
+    return data.participants
+      .map((p) => {
+        const before = byName[p.name] || [];
+        const now = held[p.name] || [];
+        const kept = (d) => !d.title && before.includes(d.id) && window.AchievementEngine.isLasting(d.rule);
+        const after = defs.filter((d) => now.includes(d.id) || kept(d)).map((d) => d.id);
+        return {
+          participant: p,
+          pos: order.indexOf(p.id) + 1,
+          gained: after.filter((aid) => !before.includes(aid)),
+          lost: before.filter((aid) => !after.includes(aid)),
+          elo: { before: eloBefore[p.id], after: eloAfter[p.id] },
+          rank: { before: rankBefore[p.id], after: rankAfter[p.id] }
+        };
+      })
+      .filter((r) => r.pos > 0 || r.lost.length || r.rank.before !== r.rank.after)
+      .sort((a, b) => (a.pos || Infinity) - (b.pos || Infinity));
+  }
+
+  function renderScenario() {
+    const el = $('#scenario-order');
+    if (!el) return;
+    if (!App.stats.latest || !App.achievements.engine) {
+      $('#scenario').hidden = true;
+      return;
+    }
+    if (!App.scenario) App.scenario = scenarioDefault();
+
+    const others = App.data.participants
+      .filter((p) => App.stats.per[p.id].starts > 0 && !App.scenario.includes(p.id))
+      .sort((a, b) => a.name.localeCompare(b.name, 'sv'));
+    const rows = App.scenario
+      .map((id, i) => {
+        const { name } = App.stats.per[id].participant;
+        return `
+        <li class="scenario-row" draggable="true" data-id="${esc(id)}">
+          <span class="scenario-pos ${medalClassFor(i + 1)}">${i + 1}</span>
+          <span class="avatar yd-avatar" style="border-color:${avatarColor(name, 0.6)}">${esc(initials(name))}</span>
+          <span class="scenario-name">${esc(shortName(name))}</span>
+          <button class="scenario-btn" data-move="-1" aria-label="Flytta upp ${esc(name)}" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button class="scenario-btn" data-move="1" aria-label="Flytta ner ${esc(name)}" ${i === App.scenario.length - 1 ? 'disabled' : ''}>↓</button>
+          <button class="scenario-btn" data-remove aria-label="Ta bort ${esc(name)}">×</button>
+        </li>`;
+      })
+      .join('');
+
+    el.innerHTML = `
+      <ol class="scenario-list">${rows}</ol>
+      <div class="filter-actions">
+        <select class="select scenario-add" id="scenario-add" aria-label="Lägg till deltagare" ${others.length ? '' : 'disabled'}>
+          <option value="">Lägg till…</option>
+          ${others.map((p) => `<option value="${esc(p.id)}">${esc(p.name)}</option>`).join('')}
+        </select>
+        <button class="btn ghost small" id="scenario-reset">Återställ</button>
+      </div>`;
+
+    renderScenarioDiff();
+    bindScenario(el);
+  }
+
+  /** Drag a row onto another to move it there; the buttons do the same without a mouse. */
+  function bindScenario(el) {
+    if (el.dataset.bound) return;
+    el.dataset.bound = '1';
+    const moveTo = (id, index) => {
+      const order = App.scenario.filter((x) => x !== id);
+      order.splice(Math.max(0, Math.min(index, order.length)), 0, id);
+      App.scenario = order;
+      renderScenario();
+    };
+
+    el.addEventListener('dragstart', (e) => {
+      const row = e.target.closest('.scenario-row');
+      if (!row) return;
+      e.dataTransfer.setData('text/plain', row.dataset.id);
+      e.dataTransfer.effectAllowed = 'move';
+      row.classList.add('dragging');
+    });
+    el.addEventListener('dragend', (e) => {
+      const row = e.target.closest('.scenario-row');
+      if (row) row.classList.remove('dragging');
+    });
+    el.addEventListener('dragover', (e) => {
+      if (e.target.closest('.scenario-row')) e.preventDefault();
+    });
+    el.addEventListener('drop', (e) => {
+      const row = e.target.closest('.scenario-row');
+      const id = e.dataTransfer.getData('text/plain');
+      if (!row || !App.scenario.includes(id)) return;
+      e.preventDefault();
+      // Dropped on the lower half of a row means after it
+      const box = row.getBoundingClientRect();
+      const after = e.clientY > box.top + box.height / 2;
+      const target = App.scenario.filter((x) => x !== id).indexOf(row.dataset.id);
+      if (target >= 0) moveTo(id, target + (after ? 1 : 0));
+    });
+
+    el.addEventListener('click', (e) => {
+      const btn = e.target.closest('.scenario-btn');
+      if (btn) {
+        const { id } = btn.closest('.scenario-row').dataset;
+        if (btn.hasAttribute('data-remove')) {
+          App.scenario = App.scenario.filter((x) => x !== id);
+          renderScenario();
+        } else moveTo(id, App.scenario.indexOf(id) + Number(btn.dataset.move));
+      } else if (e.target.closest('#scenario-reset')) {
+        App.scenario = scenarioDefault();
+        renderScenario();
+      }
+    });
+    el.addEventListener('change', (e) => {
+      if (e.target.id !== 'scenario-add' || !e.target.value) return;
+      App.scenario = [...App.scenario, e.target.value];
+      renderScenario();
+    });
+  }
+
+  /** What the scenario changes, next to how things stand today. */
+  function renderScenarioDiff() {
+    const el = $('#scenario-diff');
+    if (!App.scenario.length) {
+      el.innerHTML = '<p class="h2h-empty">Lägg till minst en deltagare.</p>';
+      return;
+    }
+    const { defById } = App.achievements;
+    const signed = (n) => (n > 0 ? `+${n}` : String(n));
+    const cls = (n) => (n > 0 ? 'up' : n < 0 ? 'down' : '');
+    const rows = runScenario(App.scenario)
+      .map((r) => {
+        const badges = r.gained.map((aid) => achBadge(defById[aid])).join('');
+        const lost = r.lost.map((aid) => `<span class="scenario-lost">${achBadge(defById[aid])}</span>`).join('');
+        const eloDiff = r.elo.before != null ? r.elo.after - r.elo.before : 0;
+        const moved = r.rank.before ? r.rank.before - r.rank.after : 0;
+        const rank = r.rank.before ? `${r.rank.before} → ${r.rank.after}` : `ny · ${r.rank.after}`;
+        return `
+        <tr>
+          <td class="rank-col">${r.pos || '–'}</td>
+          <td>${personLink(shortName(r.participant.name), r.participant.id)}</td>
+          <td><span class="pcard-badges">${badges}${lost}</span></td>
+          <td class="num-col">${r.elo.after != null ? r.elo.after : '–'}</td>
+          <td class="num-col elo-change ${cls(eloDiff)}">${eloDiff ? signed(eloDiff) : '–'}</td>
+          <td class="num-col elo-change ${cls(moved)}">${rank}</td>
+        </tr>`;
+      })
+      .join('');
+
+    el.innerHTML = `
+      <div class="table-scroll">
+        <table class="medal-table lab-table">
+          <thead><tr><th class="rank-col">#</th><th>Deltagare</th><th>Utmärkelser</th><th class="num-col">Elo</th><th class="num-col">Skillnad</th><th class="num-col">Medaljligan</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="scenario-note">Överstrukna utmärkelser går förlorade: titlar och sådant som bara gäller så länge det stämmer.</p>`;
+  }
+
   /* ======================================================================
      Rendering — Statistik
      ====================================================================== */
@@ -1462,7 +3153,95 @@
     return all.filter((y) => App.filters.years.size === 0 || App.filters.years.has(y));
   }
 
+  const HOGA_KUSTEN = { lat: [62.6, 63.6], lng: [17.5, 19.2] };
+
+  /**
+   * Named shortcuts in the filter bar. Each returns concrete ids and years, so
+   * a shared link keeps meaning the same editions after next year's is added.
+   */
+  const FILTER_PRESETS = [
+    {
+      id: 'senaste-5',
+      label: 'Senaste 5',
+      years: () => App.stats.byYearAsc.slice(-5).map((c) => c.year)
+    },
+    {
+      id: 'hoga-kusten',
+      label: 'Höga kusten-åren',
+      years: () =>
+        App.stats.byYearAsc
+          .filter((c) => {
+            const at = LOCATION_COORDS[c.location];
+            return (
+              at &&
+              at[0] >= HOGA_KUSTEN.lat[0] && at[0] <= HOGA_KUSTEN.lat[1] &&
+              at[1] >= HOGA_KUSTEN.lng[0] && at[1] <= HOGA_KUSTEN.lng[1]
+            );
+          })
+          .map((c) => c.year)
+    }
+  ];
+
+  /** `2016,2017,2018,2021` → `2016-2018,2021` */
+  function compactYears(years) {
+    const sorted = [...years].sort((a, b) => a - b);
+    const runs = [];
+    sorted.forEach((y) => {
+      const run = runs[runs.length - 1];
+      if (run && y === run[1] + 1) run[1] = y;
+      else runs.push([y, y]);
+    });
+    return runs.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(',');
+  }
+
+  function expandYears(value) {
+    const out = [];
+    String(value || '')
+      .split(',')
+      .forEach((part) => {
+        const [a, b = a] = part.split('-').map((v) => parseInt(v, 10));
+        for (let y = a; y <= b && b - a < 100; y++) out.push(y);
+      });
+    return out;
+  }
+
+  /**
+   * Filters live in the query string (`?p=per-vikman,henrik-lundqvist&y=2016-2019`)
+   * next to the route hash, so a filtered Statistik view can be shared.
+   */
+  function readFilterParams() {
+    const params = new URLSearchParams(location.search);
+    const ids = new Set(App.data.participants.map((p) => p.id));
+    const years = new Set(App.stats.byYearAsc.map((c) => c.year));
+    App.filters.participants = new Set((params.get('p') || '').split(',').filter((id) => ids.has(id)));
+    App.filters.years = new Set(expandYears(params.get('y')).filter((y) => years.has(y)));
+  }
+
+  function writeFilterParams() {
+    const params = new URLSearchParams(location.search);
+    const { participants, years } = App.filters;
+    if (participants.size) params.set('p', [...participants].join(','));
+    else params.delete('p');
+    if (years.size) params.set('y', compactYears(years));
+    else params.delete('y');
+    // URLSearchParams would escape the commas; they're safe in a query
+    const query = params.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+  }
+
+  function applyFilters() {
+    syncFilterChips();
+    renderStatsView();
+    writeFilterParams();
+  }
+
   function renderFilters() {
+    readFilterParams();
+
+    $('#filter-presets').innerHTML = FILTER_PRESETS.map(
+      (preset) => `<button class="chip" data-preset="${preset.id}">${esc(preset.label)}</button>`
+    ).join('');
+
     const parts = App.data.participants.filter((p) => App.stats.per[p.id].starts > 0);
     $('#filter-participants').innerHTML =
       `<button class="chip active" data-p="all">Alla</button>${
@@ -1484,8 +3263,7 @@
         if (App.filters.participants.has(id)) App.filters.participants.delete(id);
         else App.filters.participants.add(id);
       }
-      syncFilterChips();
-      renderStatsView();
+      applyFilters();
     });
 
     $('#filter-years').addEventListener('click', (e) => {
@@ -1498,15 +3276,23 @@
         if (App.filters.years.has(yr)) App.filters.years.delete(yr);
         else App.filters.years.add(yr);
       }
-      syncFilterChips();
-      renderStatsView();
+      applyFilters();
+    });
+
+    // A preset picks years; clicking the active one again clears them
+    $('#filter-presets').addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip');
+      if (!chip) return;
+      const preset = FILTER_PRESETS.find((x) => x.id === chip.getAttribute('data-preset'));
+      const active = chip.classList.contains('active');
+      App.filters.years = new Set(active ? [] : preset.years());
+      applyFilters();
     });
 
     $('#filter-reset').addEventListener('click', () => {
       App.filters.participants.clear();
       App.filters.years.clear();
-      syncFilterChips();
-      renderStatsView();
+      applyFilters();
     });
 
     syncFilterChips();
@@ -1527,6 +3313,14 @@
         y === 'all' ? App.filters.years.size === 0 : App.filters.years.has(parseInt(y, 10))
       );
     });
+    $$('#filter-presets .chip').forEach((chip) => {
+      const preset = FILTER_PRESETS.find((x) => x.id === chip.getAttribute('data-preset'));
+      const years = preset.years();
+      chip.classList.toggle(
+        'active',
+        years.length > 0 && years.length === App.filters.years.size && years.every((y) => App.filters.years.has(y))
+      );
+    });
   }
 
   function sparklineSVG(points, maxPos) {
@@ -1564,7 +3358,7 @@
         return `
         <div class="card ccard stagger" style="--stagger-i:${Math.min(i, 8)}">
           <div class="ccard-top">
-            <span class="avatar" style="border-color:hsl(${nameHue(p.name)} 60% 60% / .6)">${esc(initials(p.name))}</span>
+            <span class="avatar" style="border-color:${avatarColor(p.name, 0.6)}">${esc(initials(p.name))}</span>
             <div>
               <div class="ccard-name">${personLink(p.name, p.id)}</div>
               <div class="ccard-medals">🥇 ${golds} · ${positions.length} starter i urvalet</div>
@@ -1581,6 +3375,7 @@
       .join('');
 
     // Trend chart
+    const normalised = isNormalised();
     registerChart('trend-chart', () => {
       const maxPos = Math.max(
         ...App.stats.real
@@ -1594,9 +3389,10 @@
           labels: years,
           datasets: parts.map((p, i) => {
             const s = App.stats.per[p.id];
+            const byYear = normalised ? s.yearScores : s.yearPositions;
             return {
               label: shortName(p.name),
-              data: years.map((y) => (s.yearPositions[y] != null ? s.yearPositions[y] : null)),
+              data: years.map((y) => (byYear[y] != null ? Math.round(byYear[y]) : null)),
               borderColor: PALETTE[i % PALETTE.length],
               backgroundColor: PALETTE[i % PALETTE.length],
               tension: 0.3,
@@ -1613,18 +3409,22 @@
             legend: { position: 'bottom' },
             tooltip: {
               displayColors: true,
-              callbacks: { label: (c) => ` ${c.dataset.label}: plats ${c.parsed.y}` }
+              callbacks: {
+                label: (c) => ` ${c.dataset.label}: ${normalised ? `${c.parsed.y} poäng` : `plats ${c.parsed.y}`}`
+              }
             }
           },
           scales: {
             x: { grid: { display: false } },
-            y: {
-              reverse: true,
-              min: 1,
-              suggestedMax: maxPos,
-              grid: { color: cssVar('--chart-grid') },
-              ticks: { precision: 0 }
-            }
+            y: normalised
+              ? { min: 0, max: 100, grid: { color: cssVar('--chart-grid') }, ticks: { stepSize: 25 } }
+              : {
+                reverse: true,
+                min: 1,
+                suggestedMax: maxPos,
+                grid: { color: cssVar('--chart-grid') },
+                ticks: { precision: 0 }
+              }
           }
         }
       };
@@ -1635,14 +3435,15 @@
       const rowsData = parts
         .map((p) => {
           const s = App.stats.per[p.id];
-          const positions = years.map((y) => s.yearPositions[y]).filter((v) => v != null);
+          const byYear = normalised ? s.yearScores : s.yearPositions;
+          const values = years.map((y) => byYear[y]).filter((v) => v != null);
           return {
             name: shortName(p.name),
-            avg: positions.length ? positions.reduce((a, b) => a + b, 0) / positions.length : null
+            avg: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null
           };
         })
         .filter((r) => r.avg != null)
-        .sort((a, b) => a.avg - b.avg);
+        .sort((a, b) => (normalised ? b.avg - a.avg : a.avg - b.avg));
 
       return {
         type: 'bar',
@@ -1650,7 +3451,7 @@
           labels: rowsData.map((r) => r.name),
           datasets: [
             {
-              data: rowsData.map((r) => +r.avg.toFixed(2)),
+              data: rowsData.map((r) => +r.avg.toFixed(normalised ? 0 : 2)),
               backgroundColor: goldGradient(canvas, false),
               borderRadius: 7,
               borderSkipped: false,
@@ -1662,17 +3463,20 @@
           maintainAspectRatio: false,
           plugins: {
             legend: { display: false },
-            tooltip: { callbacks: { label: (c) => ` Snittplacering: ${c.parsed.y}` } }
+            tooltip: {
+              callbacks: { label: (c) => (normalised ? ` Snittpoäng: ${c.parsed.y}` : ` Snittplacering: ${c.parsed.y}`) }
+            }
           },
           scales: {
             x: { grid: { display: false } },
-            y: { beginAtZero: true, grid: { color: cssVar('--chart-grid') } }
+            y: { beginAtZero: true, max: normalised ? 100 : undefined, grid: { color: cssVar('--chart-grid') } }
           }
         }
       };
     });
 
     renderHeatmap(parts, years);
+    renderOverperformers(parts, years);
   }
 
   function renderHeatmap(parts, years) {
@@ -1702,10 +3506,14 @@
           .map((y) => {
             const pos = s.yearPositions[y];
             if (pos == null) return '<td class="hm-cell empty">·</td>';
-            const cls = pos <= 3 ? `pos-${pos}` : '';
             const comp = App.stats.real.find((c) => c.year === y);
-            const title = `${p.name} — ${comp ? comp.name.trim() : y}: plats ${pos}`;
-            return `<td class="hm-cell ${cls}" ${cellColor(pos, y)} title="${esc(title)}">${pos}</td>`;
+            const shared = comp && comp.shared.has(p.id);
+            const cls = `${pos <= 3 ? `pos-${pos}` : ''}${shared ? ' shared' : ''}`;
+            const exp = (App.expectations[y] || []).find((r) => r.id === p.id);
+            const title = `${p.name} — ${comp ? comp.name.trim() : y}: ${shared ? 'delad ' : ''}plats ${pos}${
+              exp ? ` (väntat ${exp.expected.toFixed(1)})` : ''
+            }`;
+            return `<td class="hm-cell ${cls}" ${cellColor(pos, y)} title="${esc(title)}">${pos}${shared ? '=' : ''}</td>`;
           })
           .join('');
         return `<tr><th class="hm-name" title="${esc(p.name)}">${personLink(shortName(p.name), p.id)}</th>${cells}</tr>`;
@@ -1719,57 +3527,119 @@
       <span class="item"><span class="swatch" style="background:linear-gradient(140deg,var(--silver),var(--silver-deep))"></span>Silver</span>
       <span class="item"><span class="swatch" style="background:linear-gradient(140deg,var(--bronze),var(--bronze-deep))"></span>Brons</span>
       <span class="item"><span class="swatch" style="background:linear-gradient(90deg,hsl(210 60% 50% / .3),hsl(0 60% 50% / .3))"></span>Mitten → sist</span>
+      <span class="item">= delad placering</span>
       <span class="item">· = deltog ej</span>`;
   }
 
+  /** Signed number of placings, one decimal: "+2.4", "−0.6". */
+  const fmtPlacings = (x) => `${x >= 0.05 ? '+' : x <= -0.05 ? '−' : '±'}${Math.abs(x).toFixed(1)}`;
+
+  function renderOverperformers(parts, years) {
+    const rows = overperformance(parts, years)
+      .map((r, i) => {
+        const dir = r.avg >= 0.05 ? 'up' : r.avg <= -0.05 ? 'down' : '';
+        const top = r.top.diff > 0
+          ? `<button class="h2h-year-btn" data-year="${r.top.year}">${r.top.year}</button>: plats ${r.top.actual}, väntat ${r.top.expected.toFixed(1)}`
+          : '–';
+        return `
+        <tr>
+          <td class="rank-col">${i + 1}</td>
+          <td>${personLink(shortName(r.participant.name), r.participant.id)}</td>
+          <td class="num-col">${r.starts}</td>
+          <td class="num-col elo-change ${dir}">${fmtPlacings(r.avg)}</td>
+          <td class="num-col">${fmtPlacings(r.total)}</td>
+          <td class="surprise-top">${top}</td>
+        </tr>`;
+      })
+      .join('');
+
+    $('#overperformers').innerHTML = rows
+      ? `
+      <div class="table-scroll">
+        <table class="medal-table lab-table">
+          <thead><tr><th class="rank-col">#</th><th>Deltagare</th><th class="num-col">Starter</th><th class="num-col">Per start</th><th class="num-col">Totalt</th><th>Största skrällen</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`
+      : '<p class="h2h-empty">Inga ratade tävlingar i urvalet.</p>';
+  }
+
   /* ======================================================================
      Rendering — Duellen (head to head)
      ====================================================================== */
 
+  /** Duellen compares two people head to head, or a group of up to six all against all. */
+  const DUEL_SIZE = { min: 2, max: 6 };
+
   function renderH2HControls() {
     const starters = App.data.participants.filter((p) => App.stats.per[p.id].starts > 0);
     if (starters.length < 2) return;
 
     // Default to the two most successful competitors
     const rank = App.stats.medalRank;
-    App.h2h.a = rank[0] ? rank[0].participant.id : starters[0].id;
-    App.h2h.b = rank[1] ? rank[1].participant.id : starters[1].id;
-
-    const options = (selected) =>
-      starters
-        .map(
-          (p) =>
-            `<option value="${p.id}" ${p.id === selected ? 'selected' : ''}>${esc(p.name)}</option>`
-        )
-        .join('');
+    const top = rank.length >= 2 ? rank.map((r) => r.participant) : starters;
+    App.h2h.ids = [top[0].id, top[1].id];
 
-    $('#h2h-a').innerHTML = options(App.h2h.a);
-    $('#h2h-b').innerHTML = options(App.h2h.b);
+    $('#h2h-picks').innerHTML = starters
+      .map((p) => `<button class="chip" data-p="${p.id}" aria-pressed="false">${esc(shortName(p.name))}</button>`)
+      .join('');
 
-    $('#h2h-a').addEventListener('change', (e) => {
-      App.h2h.a = e.target.value;
+    $('#h2h-picks').addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip');
+      if (!chip || chip.disabled) return;
+      const id = chip.getAttribute('data-p');
+      const { ids } = App.h2h;
+      App.h2h.ids = ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id];
       renderH2H();
+      updateDuelRoute();
     });
-    $('#h2h-b').addEventListener('change', (e) => {
-      App.h2h.b = e.target.value;
-      renderH2H();
+
+    $('#h2h-result').addEventListener('click', (e) => {
+      const pair = e.target.closest('[data-duel]');
+      if (pair) navigate(`#duel/${pair.getAttribute('data-duel')}`);
     });
 
     renderH2H();
   }
 
+  function setDuel(ids) {
+    App.h2h.ids = ids.slice(0, DUEL_SIZE.max);
+    renderH2H();
+  }
+
+  function syncDuelChips() {
+    const { ids } = App.h2h;
+    $$('#h2h-picks .chip').forEach((chip) => {
+      const on = ids.includes(chip.getAttribute('data-p'));
+      chip.classList.toggle('active', on);
+      chip.setAttribute('aria-pressed', String(on));
+      chip.disabled = !on && ids.length >= DUEL_SIZE.max;
+    });
+  }
+
   function renderH2H() {
-    const { a, b } = App.h2h;
+    syncDuelChips();
+    const { ids } = App.h2h;
+    $('#h2h-sub').textContent =
+      ids.length > 2
+        ? 'Alla mot alla: vem har placerat sig högst när ni ställt upp samma år?'
+        : 'Vem har placerat sig högst när ni båda ställt upp?';
+
+    if (ids.length > 2) {
+      renderGroup(ids);
+      return;
+    }
+    dropChart('h2h-chart');
+    if (ids.length < DUEL_SIZE.min) {
+      $('#h2h-result').innerHTML = `<p class="h2h-empty">Välj ${DUEL_SIZE.min}–${DUEL_SIZE.max} deltagare att jämföra.</p>`;
+      return;
+    }
+
+    const [a, b] = ids;
     const pa = App.data.participants.find((p) => p.id === a);
     const pb = App.data.participants.find((p) => p.id === b);
     if (!pa || !pb) return;
 
-    if (a === b) {
-      $('#h2h-result').innerHTML =
-        '<p class="h2h-empty">Välj två olika deltagare för att se duellen.</p>';
-      return;
-    }
-
     const { meetings, winsA, winsB } = headToHead(a, b);
     if (!meetings.length) {
       $('#h2h-result').innerHTML = `<p class="h2h-empty">${esc(shortName(pa.name))} och ${esc(
@@ -1779,28 +3649,148 @@
     }
 
     const total = winsA + winsB;
-    const pctA = total ? (winsA / total) * 100 : 50;
     const leader = winsA > winsB ? pa : winsB > winsA ? pb : null;
+    const named = namedRivalry(a, b);
 
-    const rows = meetings
-      .slice()
-      .reverse()
-      .map((m) => {
-        const aWon = m.posA < m.posB;
-        const tie = m.posA === m.posB;
+    $('#h2h-result').innerHTML = `
+      ${duelScore(pa, pb, winsA, winsB)}
+      ${named ? `<p class="h2h-named">${rivalryBadge(named)}</p>` : ''}
+      <p class="h2h-verdict">
+        ${
+  leader
+    ? `<strong>${esc(shortName(leader.name))}</strong> leder duellen efter ${total} gemensamma tävlingar.`
+    : `Helt jämnt efter ${total} gemensamma tävlingar.`
+  }
+      </p>
+      <ul class="h2h-list">${duelRows(meetings)}</ul>`;
+  }
+
+  /**
+   * A group all against all, every pairing through headToHead. Each pairing
+   * is scored like a league match: two points for the better record, one each
+   * when it's level. Pairs that never met play no match.
+   */
+  function groupTable(ids) {
+    const rows = ids.map((id) => ({
+      participant: App.stats.per[id].participant,
+      records: {},
+      won: 0,
+      drawn: 0,
+      lost: 0,
+      wins: 0,
+      losses: 0,
+      points: 0
+    }));
+    rows.forEach((r, i) =>
+      rows.slice(i + 1).forEach((o) => {
+        const { meetings, winsA, winsB } = headToHead(r.participant.id, o.participant.id);
+        r.records[o.participant.id] = { wins: winsA, losses: winsB, meetings: meetings.length };
+        o.records[r.participant.id] = { wins: winsB, losses: winsA, meetings: meetings.length };
+        if (!meetings.length) return;
+        r.wins += winsA;
+        r.losses += winsB;
+        o.wins += winsB;
+        o.losses += winsA;
+        if (winsA > winsB) {
+          r.won++;
+          o.lost++;
+        } else if (winsB > winsA) {
+          o.won++;
+          r.lost++;
+        } else {
+          r.drawn++;
+          o.drawn++;
+        }
+      })
+    );
+    rows.forEach((r) => (r.points = 2 * r.won + r.drawn));
+    return rows.sort(
+      (x, y) => y.points - x.points || y.wins - y.losses - (x.wins - x.losses) || y.wins - x.wins
+    );
+  }
+
+  /** Three or more picked: the record matrix, "vem slår vem" and everyone's placings in one chart. */
+  function renderGroup(ids) {
+    const rows = groupTable(ids);
+    const order = rows.map((r) => r.participant.id);
+
+    const head = rows
+      .map((r) => `<th class="num-col" title="${esc(r.participant.name)}">${esc(initials(r.participant.name))}</th>`)
+      .join('');
+    const matrix = rows
+      .map((r) => {
+        const cells = order
+          .map((other) => {
+            if (other === r.participant.id) return '<td class="num-col h2h-matrix-cell self">—</td>';
+            const rec = r.records[other];
+            if (!rec.meetings) return '<td class="num-col h2h-matrix-cell empty" title="Aldrig mötts">·</td>';
+            const tone = rec.wins > rec.losses ? 'up' : rec.wins < rec.losses ? 'down' : '';
+            const title = `${r.participant.name} mot ${App.stats.per[other].participant.name}: ${rec.wins}–${rec.losses} på ${rec.meetings} möten`;
+            return `<td class="num-col h2h-matrix-cell"><button class="h2h-matrix-btn ${tone}" data-duel="${r.participant.id}/${other}" title="${esc(title)}">${rec.wins}–${rec.losses}</button></td>`;
+          })
+          .join('');
+        return `<tr><th class="h2h-matrix-name">${personLink(shortName(r.participant.name), r.participant.id)}</th>${cells}</tr>`;
+      })
+      .join('');
+
+    const table = rows
+      .map((r, i) => {
+        const diff = r.wins - r.losses;
         return `
-        <li class="h2h-row">
-          <span class="h2h-cell ${!tie && aWon ? 'win' : ''}">${m.posA}</span>
-          <span class="h2h-year"><button class="h2h-year-btn" data-year="${m.year}">${m.year}</button><small>${esc(m.name)}</small></span>
-          <span class="h2h-cell ${!tie && !aWon ? 'win' : ''}">${m.posB}</span>
-        </li>`;
+        <tr>
+          <td class="rank-col"><span class="rank-badge ${i < 3 ? `r${i + 1}` : ''}">${i + 1}</span></td>
+          <td>${personLink(shortName(r.participant.name), r.participant.id)}</td>
+          <td class="num-col">${r.won}</td>
+          <td class="num-col">${r.drawn}</td>
+          <td class="num-col">${r.lost}</td>
+          <td class="num-col">${r.wins}–${r.losses} <span class="h2h-diff">(${diff > 0 ? '+' : diff < 0 ? '−' : '±'}${Math.abs(diff)})</span></td>
+          <td class="num-col h2h-points">${r.points}</td>
+        </tr>`;
       })
       .join('');
 
     $('#h2h-result').innerHTML = `
+      <div class="table-scroll">
+        <table class="medal-table h2h-matrix">
+          <thead><tr><th></th>${head}</tr></thead>
+          <tbody>${matrix}</tbody>
+        </table>
+      </div>
+      <p class="h2h-note">Raden mot kolumnen: antal gånger raden placerade sig före och efter. Klicka för duellen.</p>
+      <h3 class="h2h-subhead">Vem slår vem</h3>
+      <div class="table-scroll">
+        <table class="medal-table h2h-table">
+          <thead><tr><th class="rank-col">#</th><th>Deltagare</th><th class="num-col" title="Vunna dueller">V</th><th class="num-col" title="Oavgjorda dueller">O</th><th class="num-col" title="Förlorade dueller">F</th><th class="num-col" title="Gånger före och efter motståndarna, med skillnaden">Före–efter</th><th class="num-col">Poäng</th></tr></thead>
+          <tbody>${table}</tbody>
+        </table>
+      </div>
+      <h3 class="h2h-subhead">Placeringar</h3>
+      <div class="chart-wrap"><canvas id="h2h-chart"></canvas></div>`;
+
+    const years = App.stats.byYearAsc
+      .map((c) => c.year)
+      .filter((y) => ids.some((id) => App.stats.per[id].yearPositions[y] != null));
+    registerChart('h2h-chart', () =>
+      bumpChart(
+        years,
+        ids.map((id, i) => ({
+          id,
+          label: shortName(App.stats.per[id].participant.name),
+          color: PALETTE[i % PALETTE.length],
+          ranks: App.stats.per[id].yearPositions
+        }))
+      )
+    );
+  }
+
+  /** Wins either way as a tug-of-war bar between the two avatars. */
+  function duelScore(pa, pb, winsA, winsB) {
+    const total = winsA + winsB;
+    const pctA = total ? (winsA / total) * 100 : 50;
+    return `
       <div class="h2h-score">
         <div class="h2h-side">
-          <span class="avatar" style="border-color:hsl(${nameHue(pa.name)} 60% 60% / .6)">${esc(initials(pa.name))}</span>
+          <span class="avatar" style="border-color:${avatarColor(pa.name, 0.6)}">${esc(initials(pa.name))}</span>
           <span class="h2h-num">${winsA}</span>
         </div>
         <div class="h2h-bar" role="img" aria-label="${winsA} mot ${winsB}">
@@ -1808,17 +3798,67 @@
         </div>
         <div class="h2h-side right">
           <span class="h2h-num">${winsB}</span>
-          <span class="avatar" style="border-color:hsl(${nameHue(pb.name)} 60% 60% / .6)">${esc(initials(pb.name))}</span>
+          <span class="avatar" style="border-color:${avatarColor(pb.name, 0.6)}">${esc(initials(pb.name))}</span>
         </div>
-      </div>
-      <p class="h2h-verdict">
-        ${
-  leader
-    ? `<strong>${esc(shortName(leader.name))}</strong> leder duellen efter ${total} gemensamma tävlingar.`
-    : `Helt jämnt efter ${total} gemensamma tävlingar.`
+      </div>`;
+  }
+
+  /** One row per meeting, newest first; years in `changes` are marked as lead changes. */
+  function duelRows(meetings, changes = []) {
+    return meetings
+      .slice()
+      .reverse()
+      .map((m) => {
+        const aWon = m.posA < m.posB;
+        const tie = m.posA === m.posB;
+        const flip = changes.includes(m.year) ? '<span class="tag rivalry-flip">ledarbyte</span>' : '';
+        return `
+        <li class="h2h-row">
+          <span class="h2h-cell ${!tie && aWon ? 'win' : ''}">${m.posA}</span>
+          <span class="h2h-year"><button class="h2h-year-btn" data-year="${m.year}">${m.year}</button><small>${esc(m.name)}</small>${flip}</span>
+          <span class="h2h-cell ${!tie && !aWon ? 'win' : ''}">${m.posB}</span>
+        </li>`;
+      })
+      .join('');
+  }
+
+  /** Link to a named rivalry's page; `compact` shows only the icon. */
+  function rivalryBadge(named, compact = false) {
+    const label = compact ? '' : `<span>${esc(named.name)}</span>`;
+    return `<button class="rivalry-badge ${compact ? 'compact' : ''}" data-rivalry="${esc(named.id)}" title="${esc(named.name)}" aria-label="${esc(named.name)}">${ICONS.swords}${label}</button>`;
   }
-      </p>
-      <ul class="h2h-list">${rows}</ul>`;
+
+  /** "Hetaste rivalerna" under the duel: the top of the rivalry index. */
+  function renderRivalryBoard() {
+    const list = $('#rivalry-list');
+    if (!list) return;
+    const top = App.rivalries.slice(0, RIVALRY.board);
+    if (!top.length) {
+      list.innerHTML = `<li class="h2h-empty">Inga par har mötts ${RIVALRY.minMeetings} gånger ännu.</li>`;
+      return;
+    }
+    list.innerHTML = top
+      .map((r, i) => {
+        const changes = r.leadChanges.length;
+        const meta = `${r.meetings} möten · ${r.winsA}–${r.winsB} · ${changes} ${changes === 1 ? 'ledarbyte' : 'ledarbyten'}`;
+        return `
+        <li class="rivalry-row">
+          <span class="rivalry-rank">${i + 1}</span>
+          <button class="rivalry-pair" data-duel="${esc(r.a.id)}/${esc(r.b.id)}" title="Visa duellen">
+            <span class="rivalry-names">${esc(shortName(r.a.name))} <span class="rivalry-vs">mot</span> ${esc(shortName(r.b.name))}</span>
+            <span class="rivalry-meta">${meta}</span>
+          </button>
+          ${r.named ? rivalryBadge(r.named) : '<span></span>'}
+          <span class="rivalry-heat" title="Rivalitetsindex ${r.heat} av 100">${r.heat}</span>
+        </li>`;
+      })
+      .join('');
+    if (list.dataset.bound) return;
+    list.dataset.bound = '1';
+    list.addEventListener('click', (e) => {
+      const pair = e.target.closest('[data-duel]');
+      if (pair) navigate(`#duel/${pair.getAttribute('data-duel')}`);
+    });
   }
 
   /* ======================================================================
@@ -1826,18 +3866,46 @@
      ====================================================================== */
 
   function renderElo() {
-    const { current, history, years } = App.elo;
+    const systems = ratingSystems();
+    const system = systems.find((x) => x.id === App.ratingSystem) || systems[0];
+    const { current, history, years, bands } = system.result;
+    const fmt = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1).replace('.', ','));
+
+    const picker = $('#elo-systems');
+    if (picker && !picker.dataset.bound) {
+      picker.dataset.bound = '1';
+      picker.addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip) return;
+        App.ratingSystem = chip.dataset.system;
+        renderElo();
+      });
+    }
+    if (picker) {
+      picker.innerHTML = systems
+        .map(
+          (x) =>
+            `<button class="chip ${x.id === system.id ? 'active' : ''}" data-system="${x.id}" title="${esc(x.description)}">${esc(x.label)}</button>`
+        )
+        .join('');
+    }
+    if ($('#elo-desc')) $('#elo-desc').textContent = system.description;
 
     $('#elo-standings').innerHTML = current
       .map((e, i) => {
         const dir = e.change > 0 ? 'up' : e.change < 0 ? 'down' : '';
         const sign = e.change > 0 ? '+' : '';
+        const away = inactivity(e.participant.id);
+        const idle = away.inactive
+          ? `<span class="elo-inactive" title="Senast med ${away.last} — ${away.missed} tävlingar sedan">inaktiv</span>`
+          : '';
+        const dev = e.deviation != null ? `<span class="elo-dev" title="95 % säkert inom ±${fmt(e.deviation)}">±${fmt(e.deviation)}</span>` : '';
         return `
-        <div class="elo-row" title="${esc(e.participant.name)} · ${e.starts} starter · högsta ${e.peak}">
+        <div class="elo-row ${away.inactive ? 'inactive' : ''}" title="${esc(e.participant.name)} · ${e.starts} starter · högsta ${fmt(e.peak)}">
           <span class="elo-rank">${i + 1}</span>
-          <span class="elo-name">${personLink(shortName(e.participant.name), e.participant.id)}</span>
-          <span class="elo-rating">${e.rating}</span>
-          <span class="elo-change ${dir}">${e.change ? `${sign}${e.change}` : '–'}</span>
+          <span class="elo-name">${personLink(shortName(e.participant.name), e.participant.id)}${idle}</span>
+          <span class="elo-rating">${fmt(e.rating)}${dev}</span>
+          <span class="elo-change ${dir}">${e.change ? `${sign}${fmt(e.change)}` : '–'}</span>
         </div>`;
       })
       .join('');
@@ -1845,30 +3913,70 @@
     registerChart('elo-chart', () => {
       // Only chart the top ratings, otherwise the lines turn to spaghetti
       const shown = current.slice(0, 8);
+      const datasets = [];
+      shown.forEach((e, i) => {
+        const { id } = e.participant;
+        const color = PALETTE[i % PALETTE.length];
+        datasets.push({
+          label: shortName(e.participant.name),
+          person: id,
+          data: years.map((y) => history[id][y] ?? null),
+          borderColor: color,
+          backgroundColor: color,
+          tension: 0.32,
+          spanGaps: true,
+          borderWidth: 2,
+          pointRadius: 2.5,
+          pointHoverRadius: 6
+        });
+        if (!bands) return;
+        // Confidence band: an invisible upper edge, and a lower edge filled up to it
+        const edge = (k) => ({
+          label: shortName(e.participant.name),
+          person: id,
+          band: true,
+          data: years.map((y) => (bands[id][y] ? bands[id][y][k] : null)),
+          borderWidth: 0,
+          pointRadius: 0,
+          pointHoverRadius: 0,
+          tension: 0.32,
+          spanGaps: true,
+          backgroundColor: `${color}1f`,
+          fill: k ? false : '-1'
+        });
+        datasets.push(edge(1), edge(0));
+      });
+
       return {
         type: 'line',
-        data: {
-          labels: years,
-          datasets: shown.map((e, i) => ({
-            label: shortName(e.participant.name),
-            data: years.map((y) => history[e.participant.id][y] ?? null),
-            borderColor: PALETTE[i % PALETTE.length],
-            backgroundColor: PALETTE[i % PALETTE.length],
-            tension: 0.32,
-            spanGaps: true,
-            borderWidth: 2,
-            pointRadius: 2.5,
-            pointHoverRadius: 6
-          }))
-        },
+        data: { labels: years, datasets },
         options: {
           maintainAspectRatio: false,
           interaction: { mode: 'nearest', intersect: false },
           plugins: {
-            legend: { position: 'bottom' },
+            legend: {
+              position: 'bottom',
+              labels: { filter: (item, data) => !data.datasets[item.datasetIndex].band },
+              // Hiding a person hides their band too
+              onClick: (evt, item, legend) => {
+                const { chart } = legend;
+                const { person } = chart.data.datasets[item.datasetIndex];
+                const hide = chart.isDatasetVisible(item.datasetIndex);
+                chart.data.datasets.forEach((ds, i) => {
+                  if (ds.person === person) chart.setDatasetVisibility(i, !hide);
+                });
+                chart.update();
+              }
+            },
             tooltip: {
               displayColors: true,
-              callbacks: { label: (c) => ` ${c.dataset.label}: ${c.parsed.y}` }
+              filter: (c) => !c.dataset.band,
+              callbacks: {
+                label: (c) => {
+                  const band = bands && bands[c.dataset.person][c.label];
+                  return ` ${c.dataset.label}: ${fmt(c.parsed.y)}${band ? ` (${fmt(band[0])}–${fmt(band[1])})` : ''}`;
+                }
+              }
             }
           },
           scales: {
@@ -1880,6 +3988,131 @@
     });
   }
 
+  /* ======================================================================
+     Elo-labbet
+     ====================================================================== */
+
+  const ELO_LAB_SLIDERS = [
+    { key: 'k', label: 'K-faktor', min: 10, max: 200, step: 5, fmt: (v) => String(v) },
+    { key: 'start', label: 'Startrating', min: 1000, max: 2000, step: 50, fmt: (v) => String(v) },
+    { key: 'decay', label: 'Avtagande per missat år', min: 0, max: 0.5, step: 0.05, fmt: (v) => `${Math.round(v * 100)} %` }
+  ];
+
+  const eloLabIsDefault = () =>
+    Object.keys(ELO_DEFAULTS).every((key) => String(App.eloLab[key]) === String(ELO_DEFAULTS[key]));
+
+  /** Replays Elo with the lab's settings and redraws everything that shows it. */
+  function updateEloLab() {
+    App.elo = eloLabIsDefault() ? App.eloDefault : computeElo(App.data, App.stats, App.eloLab);
+    renderEloLabDiff();
+    if (App.ratingSystem === 'elo') renderElo();
+  }
+
+  function renderEloLab() {
+    const controls = $('#elo-lab-controls');
+    if (!controls) return;
+    const lab = App.eloLab;
+    const years = App.stats.byYearAsc.filter((c) => c.participantCount > 1);
+
+    const sliders = ELO_LAB_SLIDERS.map(
+      (sl) => `
+        <label class="lab-slider">
+          <span class="lab-label">${sl.label} <output data-out="${sl.key}">${sl.fmt(lab[sl.key])}</output></span>
+          <input type="range" data-key="${sl.key}" min="${sl.min}" max="${sl.max}" step="${sl.step}" value="${lab[sl.key]}" />
+        </label>`
+    ).join('');
+    const yearChips = years
+      .map(
+        (c) =>
+          `<button class="chip ${lab.skip.includes(c.year) ? '' : 'active'}" data-y="${c.year}" title="${esc(c.name.trim())}">${c.year}</button>`
+      )
+      .join('');
+
+    controls.innerHTML = `
+      ${sliders}
+      <label class="lab-toggle">
+        <input type="checkbox" data-key="normalise" ${lab.normalise ? 'checked' : ''} />
+        <span>Dela K på antalet motståndare</span>
+      </label>
+      <div class="filter-group">
+        <span class="filter-label">Räknas med</span>
+        <div class="chip-row" id="elo-lab-years">${yearChips}</div>
+      </div>
+      <div class="filter-actions">
+        <button class="btn ghost small" id="elo-lab-reset">Återställ</button>
+      </div>`;
+
+    renderEloLabDiff();
+
+    if (controls.dataset.bound) return;
+    controls.dataset.bound = '1';
+    controls.addEventListener('input', (e) => {
+      const { key } = e.target.dataset;
+      if (!key) return;
+      const lab = App.eloLab;
+      if (e.target.type === 'checkbox') lab[key] = e.target.checked;
+      else {
+        lab[key] = Number(e.target.value);
+        const sl = ELO_LAB_SLIDERS.find((x) => x.key === key);
+        controls.querySelector(`[data-out="${key}"]`).textContent = sl.fmt(lab[key]);
+      }
+      updateEloLab();
+    });
+    controls.addEventListener('click', (e) => {
+      const chip = e.target.closest('#elo-lab-years .chip');
+      if (chip) {
+        const lab = App.eloLab;
+        const y = Number(chip.dataset.y);
+        lab.skip = lab.skip.includes(y) ? lab.skip.filter((x) => x !== y) : [...lab.skip, y];
+        chip.classList.toggle('active', !lab.skip.includes(y));
+        updateEloLab();
+      } else if (e.target.closest('#elo-lab-reset')) {
+        App.eloLab = { ...ELO_DEFAULTS };
+        renderEloLab();
+        updateEloLab();
+      }
+    });
+  }
+
+  /** Lab standings next to the default ones: who gains and who loses. */
+  function renderEloLabDiff() {
+    const el = $('#elo-lab-diff');
+    if (!el) return;
+    if (eloLabIsDefault()) {
+      el.innerHTML = '<p class="h2h-empty">Standardinställningarna — dra i ett reglage för att jämföra.</p>';
+      return;
+    }
+
+    const before = {};
+    App.eloDefault.current.forEach((e, i) => (before[e.participant.id] = { rank: i + 1, rating: e.rating }));
+    const signed = (n) => (n > 0 ? `+${n}` : String(n));
+    const move = (n) => (n ? `${n > 0 ? '▲' : '▼'} ${Math.abs(n)}` : '–');
+    const rows = App.elo.current
+      .map((e, i) => {
+        const old = before[e.participant.id];
+        const moved = old ? old.rank - (i + 1) : 0;
+        const diff = old ? e.rating - old.rating : 0;
+        return `
+        <tr>
+          <td class="rank-col">${i + 1}</td>
+          <td>${personLink(shortName(e.participant.name), e.participant.id)}</td>
+          <td class="num-col">${e.rating}</td>
+          <td class="num-col lab-was">${old ? old.rating : '–'}</td>
+          <td class="num-col elo-change ${diff > 0 ? 'up' : diff < 0 ? 'down' : ''}">${diff ? signed(diff) : '–'}</td>
+          <td class="num-col elo-change ${moved > 0 ? 'up' : moved < 0 ? 'down' : ''}">${move(moved)}</td>
+        </tr>`;
+      })
+      .join('');
+
+    el.innerHTML = `
+      <div class="table-scroll">
+        <table class="medal-table lab-table">
+          <thead><tr><th class="rank-col">#</th><th>Deltagare</th><th class="num-col">Labbet</th><th class="num-col">Standard</th><th class="num-col">Skillnad</th><th class="num-col">Placering</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
   /* ======================================================================
      Rendering — Spel
      ====================================================================== */
@@ -1985,6 +4218,36 @@
     show(songs[0].id);
   }
 
+  /* ======================================================================
+     Diagnostik (#admin) — not linked from the menu
+     ====================================================================== */
+
+  function renderAdmin() {
+    const summary = $('#admin-summary');
+    const list = $('#admin-issues');
+    if (!summary || !list || !window.DataValidator) return;
+
+    const issues = window.DataValidator.validate(App.data.csv, {
+      locations: Object.keys(LOCATION_COORDS),
+      participants: App.data.registry
+    });
+    const errors = issues.filter((i) => i.severity === 'error').length;
+    summary.innerHTML = issues.length
+      ? `<strong>${errors}</strong> fel och <strong>${issues.length - errors}</strong> varningar i competition-data.csv.`
+      : 'Inga problem hittades i competition-data.csv. \u2705';
+
+    list.innerHTML = issues
+      .map(
+        (i) => `
+        <li class="admin-issue ${i.severity}">
+          <span class="admin-where">${i.line ? `Rad ${i.line}` : ''}${i.column ? ` · ${esc(i.column)}` : ''}</span>
+          <span class="admin-msg">${esc(i.message)}</span>
+          ${i.fix ? `<span class="admin-fix">${esc(i.fix)}</span>` : ''}
+        </li>`
+      )
+      .join('');
+  }
+
   function renderGames() {
     const byYear = {};
     GAMES.forEach((g) => (byYear[g.year] = g));
@@ -2110,6 +4373,55 @@
     return pos === 1 ? 'gold' : pos === 2 ? 'silver' : pos === 3 ? 'bronze' : '';
   }
 
+  function sharedBadge() {
+    return '<span class="shared-badge" title="Delad placering">delad</span>';
+  }
+
+  /** A profile's badges by the year they were unlocked, newest first. */
+  function unlockTimeline(name, achIds) {
+    const unlockedIn = App.achievements.unlockedIn[name] || {};
+    const years = [...new Set(achIds.map((aid) => unlockedIn[aid]))].sort((a, b) => b - a);
+    return years
+      .map((y) => {
+        const badges = achIds
+          .filter((aid) => unlockedIn[aid] === y)
+          .map((aid) => achBadge(App.achievements.defById[aid], y))
+          .join('');
+        return `
+          <li>
+            <button class="pf-year-row pf-unlock" data-year="${y}">
+              <span class="pf-year">${y}</span>
+              <span class="pcard-badges">${badges}</span>
+            </button>
+          </li>`;
+      })
+      .join('');
+  }
+
+  /** The profile's "Nästa mål": which placing next time unlocks what. */
+  function nextGoalRows(p) {
+    const { defById } = App.achievements;
+    const size = App.stats.latest ? App.stats.latest.participantCount : 0;
+    const label = ({ places }) => {
+      const [from] = places;
+      const to = places[places.length - 1];
+      if (to - from + 1 !== places.length) return `Plats ${places.join(', ')}`;
+      if (from === to) return from === 1 ? 'Vinst' : `Plats ${from}`;
+      if (from === 1 && to === size) return 'Oavsett placering';
+      if (from === 1) return `Topp ${to}`;
+      return `Plats ${from}–${to}`;
+    };
+    return nextGoals(p)
+      .map(
+        (g) => `
+        <li>
+          <span class="pf-rival-name">${label(g)}</span>
+          <span class="pcard-badges">${g.ids.map((aid) => achBadge(defById[aid])).join('')}</span>
+        </li>`
+      )
+      .join('');
+  }
+
   function renderProfile(id) {
     const p = App.data.participants.find((x) => x.id === id);
     if (!p) return;
@@ -2117,11 +4429,16 @@
     if (!s || s.starts === 0) return;
 
     const elo = App.elo.current.find((e) => e.participant.id === id);
+    const away = inactivity(id);
+    const comebacks = elo ? elo.comebacks : [];
+    const odds = App.forecast && App.forecast.odds[id];
     const achIds = (App.achievements.byName[p.name] || []).filter(Boolean);
     const points = achIds.reduce((sum, aid) => sum + (App.achievements.defById[aid].points || 0), 0);
 
     const years = Object.keys(s.yearPositions).map(Number).sort((a, b) => a - b);
+    const types = disciplineTypes(id);
     const rivals = rivalRecords(id);
+    const named = App.namedRivalries.filter((r) => r.a === id || r.b === id);
     const best = rivals.filter((r) => r.winsA > r.winsB).slice(0, 3);
     const worst = rivals
       .filter((r) => r.winsB > r.winsA)
@@ -2131,13 +4448,16 @@
     const stat = (val, label) =>
       `<div class="pf-stat"><div class="val">${esc(String(val))}</div><div class="lbl">${esc(label)}</div></div>`;
 
-    const rivalRow = (r) => `
+    const rivalRow = (r) => {
+      const pair = namedRivalry(id, r.opponent.id);
+      return `
       <li>
-        <span class="pf-rival-name">${personLink(shortName(r.opponent.name), r.opponent.id)}</span>
+        <span class="pf-rival-name">${personLink(shortName(r.opponent.name), r.opponent.id)}${pair ? rivalryBadge(pair, true) : ''}</span>
         <span class="pf-rival-score ${r.winsA > r.winsB ? 'up' : r.winsA < r.winsB ? 'down' : ''}">
           ${r.winsA}–${r.winsB}
         </span>
       </li>`;
+    };
 
     const yearRows = years
       .slice()
@@ -2157,19 +4477,32 @@
       })
       .join('');
 
-    const badges = achIds
-      .map((aid) => {
-        const d = App.achievements.defById[aid];
-        return `<span class="badge rarity-${esc(d.rarity)}" title="${esc(d.name)} — ${esc(d.desc)}">${d.icon}</span>`;
+    const idleNote = away.inactive ? ` · <span class="elo-inactive">inaktiv</span> sedan ${away.last}` : '';
+    const comebackRows = comebacks
+      .slice()
+      .reverse()
+      .map((c) => {
+        const dir = c.change > 0 ? 'up' : c.change < 0 ? 'down' : '';
+        return `
+          <li>
+            <button class="pf-year-row pf-comeback" data-year="${c.year}">
+              <span class="pf-year">${c.year}</span>
+              <span class="pf-comp">efter ${c.missed} ${c.missed === 1 ? 'missad tävling' : 'missade tävlingar'}</span>
+              <span class="elo-change ${dir}">${c.change > 0 ? '+' : ''}${c.change} Elo</span>
+            </button>
+          </li>`;
       })
       .join('');
 
+    const unlockRows = unlockTimeline(p.name, achIds);
+    const goalRows = nextGoalRows(p);
+
     const html = `
       <div class="pf-head">
-        <span class="avatar pf-avatar" style="border-color:hsl(${nameHue(p.name)} 60% 60% / .7)">${esc(initials(p.name))}</span>
+        <span class="avatar pf-avatar" style="border-color:${avatarColor(p.name, 0.7)}">${esc(initials(p.name))}</span>
         <div>
           <h2 id="modal-title" class="pf-name">${esc(p.name)}</h2>
-          <p class="pf-sub">${s.starts} starter · ${s.gold} guld · ${s.silver} silver · ${s.bronze} brons</p>
+          <p class="pf-sub">${p.firstYear ? `Med sedan ${p.firstYear} · ` : ''}${s.starts} starter · ${s.gold} guld · ${s.silver} silver · ${s.bronze} brons${idleNote}</p>
         </div>
       </div>
 
@@ -2182,16 +4515,66 @@
         ${stat(s.hostCount, 'Värdskap')}
       </div>
 
+      ${
+  odds
+    ? `<div class="pf-section">
+              <h3>Prognos ${nextEventDate(App.stats).date.getFullYear()}</h3>
+              <div class="pf-stats pf-forecast">
+                ${stat(fmtOdds(odds.gold), 'Guld')}
+                ${stat(fmtOdds(odds.podium), 'Pallen')}
+                ${stat(fmtOdds(odds.last), 'Sist')}
+                ${stat(odds.meanPos.toFixed(1), `Snitt av ${App.forecast.field.length}`)}
+              </div>
+            </div>`
+    : ''
+  }
+
       <div class="pf-section">
         <h3>Placering per år</h3>
         <div class="chart-wrap pf-chart"><canvas id="pf-chart"></canvas></div>
       </div>
 
       ${
-  badges
+  unlockRows
     ? `<div class="pf-section">
               <h3>Utmärkelser <span class="pf-count">${achIds.length}</span></h3>
-              <div class="pcard-badges">${badges}</div>
+              <ul class="pf-years">${unlockRows}</ul>
+            </div>`
+    : ''
+  }
+
+      ${
+  goalRows
+    ? `<div class="pf-section">
+              <h3>Nästa mål</h3>
+              <ul class="pf-rival-list">${goalRows}</ul>
+            </div>`
+    : ''
+  }
+
+      ${
+  types.length
+    ? `<div class="pf-section">
+              <h3>Bästa grentyp</h3>
+              <ul class="pf-types">${types
+    .map(
+      (t, i) => `
+                <li class="${i === 0 ? 'best' : ''}" title="${esc(t.events.join(', '))}">
+                  <span class="pf-type-name">${esc(t.type)}</span>
+                  <span class="pf-type-bar"><span style="width:${t.avg.toFixed(0)}%"></span></span>
+                  <span class="pf-type-val">${t.avg.toFixed(0)}</span>
+                </li>`
+    )
+    .join('')}</ul>
+            </div>`
+    : ''
+  }
+
+      ${
+  named.length
+    ? `<div class="pf-section">
+              <h3>Rivaliteter</h3>
+              <div class="pf-named">${named.map((r) => rivalryBadge(r)).join('')}</div>
             </div>`
     : ''
   }
@@ -2205,6 +4588,15 @@
     : ''
   }
 
+      ${
+  comebackRows
+    ? `<div class="pf-section">
+              <h3>Comebacks <span class="pf-count">${comebacks.length}</span></h3>
+              <ul class="pf-years">${comebackRows}</ul>
+            </div>`
+    : ''
+  }
+
       <div class="pf-section">
         <h3>Alla resultat</h3>
         <ul class="pf-years">${yearRows}</ul>
@@ -2263,21 +4655,25 @@
     const results = Object.entries(comp.scores)
       .map(([pid, pos]) => ({
         participant: App.data.participants.find((x) => x.id === pid),
-        pos
+        pos,
+        raw: comp.results[pid] || null
       }))
       .filter((r) => r.participant)
       .sort((a, b) => a.pos - b.pos);
 
     const hosts = [comp.arranger3rd, comp.arrangerSecondLast].filter(Boolean).join(' & ');
     const photo = photoFor(comp.year);
+    const disciplines = comp.disciplines || [];
 
     const rows = results
       .map(
         (r) => `
         <li class="yd-row">
           <span class="yd-pos ${medalClassFor(r.pos)}">${r.pos}</span>
-          <span class="avatar yd-avatar" style="border-color:hsl(${nameHue(r.participant.name)} 60% 60% / .6)">${esc(initials(r.participant.name))}</span>
+          <span class="avatar yd-avatar" style="border-color:${avatarColor(r.participant.name, 0.6)}">${esc(initials(r.participant.name))}</span>
           <span class="yd-name">${personLink(r.participant.name, r.participant.id)}</span>
+          ${comp.shared.has(r.participant.id) ? sharedBadge() : ''}
+          ${r.raw ? `<span class="yd-raw">${esc(formatMeasurement(r.raw))}</span>` : ''}
         </li>`
       )
       .join('');
@@ -2293,34 +4689,245 @@
         </p>
       </div>
       ${photo ? `<img class="yd-photo" src="${esc(photo)}" alt="Foto från ${comp.year}" />` : ''}
-      <ul class="yd-results">${rows}</ul>`;
+      <ul class="yd-results">${rows}</ul>
+      ${unlocksSection(comp.year)}
+      ${surprisesSection(comp.year)}
+      ${disciplines.length ? disciplineTable(disciplines, results) : ''}`;
 
     openModal(html);
   }
 
+  /**
+   * A named rivalry's own page: the record, the running lead over the years
+   * and every meeting, with the lead changes marked.
+   */
+  function renderRivalry(id) {
+    const named = App.namedRivalries.find((r) => r.id === id);
+    if (!named) return;
+    const pa = App.stats.per[named.a].participant;
+    const pb = App.stats.per[named.b].participant;
+    const { meetings, winsA, winsB } = headToHead(named.a, named.b);
+    const changes = leadChanges(meetings);
+    const rank = App.rivalries.findIndex((r) => r.named === named);
+    const indexed = App.rivalries[rank];
+    const gap = meetings.length ? meetings.reduce((sum, m) => sum + Math.abs(m.posA - m.posB), 0) / meetings.length : 0;
+
+    const stat = (val, label) =>
+      `<div class="pf-stat"><div class="val">${esc(String(val))}</div><div class="lbl">${esc(label)}</div></div>`;
+    const since = meetings.length ? ` · sedan ${meetings[0].year}` : '';
+    const leader = winsA > winsB ? pa : winsB > winsA ? pb : null;
+    const verdict = leader
+      ? `<strong>${esc(shortName(leader.name))}</strong> leder med ${Math.max(winsA, winsB)}–${Math.min(winsA, winsB)}.`
+      : 'Helt jämnt.';
+
+    const html = `
+      <div class="yd-head">
+        <span class="yd-year">Rivalitet</span>
+        <h2 id="modal-title" class="yd-title">${esc(named.name)}</h2>
+        <p class="yd-meta">${personLink(pa.name, pa.id)} mot ${personLink(pb.name, pb.id)}${since}</p>
+      </div>
+      ${named.description ? `<p class="rivalry-desc">${esc(named.description)}</p>` : ''}
+      ${
+  meetings.length
+    ? `${duelScore(pa, pb, winsA, winsB)}
+      <p class="h2h-verdict">${verdict}</p>
+      <div class="pf-stats">
+        ${stat(meetings.length, 'Möten')}
+        ${stat(changes.length, 'Ledarbyten')}
+        ${stat(gap.toFixed(1), 'Snittavstånd')}
+        ${stat(indexed ? indexed.heat : '–', indexed ? `Index · #${rank + 1}` : 'Index')}
+      </div>
+      <div class="pf-section">
+        <h3>Ledningen över tid</h3>
+        <div class="chart-wrap pf-chart"><canvas id="rivalry-chart"></canvas></div>
+      </div>
+      <div class="pf-section">
+        <h3>Alla möten</h3>
+        <ul class="h2h-list">${duelRows(meetings, changes)}</ul>
+      </div>`
+    : `<p class="h2h-empty">${esc(shortName(pa.name))} och ${esc(shortName(pb.name))} har aldrig ställt upp samma år.</p>`
+  }`;
+
+    openModal(html, () => {
+      const canvas = document.getElementById('rivalry-chart');
+      if (!canvas || typeof Chart === 'undefined') return;
+      let diff = 0;
+      const lead = meetings.map((m) => (diff += Math.sign(m.posB - m.posA)));
+      const top = Math.max(2, ...lead.map(Math.abs));
+      App.modalChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+          labels: meetings.map((m) => m.year),
+          datasets: [
+            {
+              data: lead,
+              borderColor: cssVar('--accent-2'),
+              borderWidth: 2.5,
+              stepped: true,
+              pointRadius: meetings.map((m) => (changes.includes(m.year) ? 5 : 3)),
+              pointBackgroundColor: meetings.map((m) => (changes.includes(m.year) ? cssVar('--gold') : cssVar('--accent-2'))),
+              pointBorderColor: 'transparent'
+            }
+          ]
+        },
+        options: {
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                label: (c) => {
+                  const v = c.parsed.y;
+                  if (!v) return ' Jämnt';
+                  return ` ${shortName((v > 0 ? pa : pb).name)} leder med ${Math.abs(v)}`;
+                }
+              }
+            }
+          },
+          scales: {
+            x: { grid: { display: false } },
+            y: {
+              min: -top,
+              max: top,
+              grid: { color: (c) => (c.tick.value === 0 ? cssVar('--border-strong') : cssVar('--chart-grid')) },
+              ticks: {
+                precision: 0,
+                callback: (v) => (v > 0 ? `${shortName(pa.name)} +${v}` : v < 0 ? `${shortName(pb.name)} +${-v}` : '0')
+              }
+            }
+          }
+        }
+      });
+    });
+  }
+
+  /** Badges first unlocked by this edition, per participant. */
+  function unlocksSection(year) {
+    const { unlockedIn, defs } = App.achievements;
+    const rows = App.data.participants
+      .map((p) => ({ p, unlocked: defs.filter((d) => (unlockedIn[p.name] || {})[d.id] === year) }))
+      .filter((r) => r.unlocked.length)
+      .map(
+        (r) => `
+        <li>
+          <span class="pf-rival-name">${personLink(shortName(r.p.name), r.p.id)}</span>
+          <span class="pcard-badges">${r.unlocked.map((d) => achBadge(d)).join('')}</span>
+        </li>`
+      )
+      .join('');
+    if (!rows) return '';
+    return `
+      <div class="pf-section">
+        <h3>Nytt i år</h3>
+        <ul class="pf-rival-list">${rows}</ul>
+      </div>`;
+  }
+
+  /** Biggest over- and underperformers of one edition, against their Elo going in. */
+  function surprisesSection(year) {
+    const rows = App.expectations[year];
+    if (!rows) return '';
+    const row = (r) => {
+      const { name } = App.stats.per[r.id].participant;
+      return `
+        <li>
+          <span class="pf-rival-name">${personLink(shortName(name), r.id)}</span>
+          <span class="surprise-detail">plats ${r.actual}, väntat ${r.expected.toFixed(1)}</span>
+          <span class="pf-rival-score ${r.diff > 0 ? 'up' : 'down'}">${fmtPlacings(r.diff)}</span>
+        </li>`;
+    };
+    const sorted = rows.slice().sort((a, b) => b.diff - a.diff);
+    const over = sorted.filter((r) => r.diff >= 1).slice(0, 3);
+    const under = sorted.filter((r) => r.diff <= -1).slice(-3).reverse();
+    if (!over.length && !under.length) return '';
+    const overList = over.length ? `<div><h4 class="surprise-head">Bättre än väntat</h4><ul class="pf-rival-list">${over.map(row).join('')}</ul></div>` : '';
+    const underList = under.length ? `<div><h4 class="surprise-head">Sämre än väntat</h4><ul class="pf-rival-list">${under.map(row).join('')}</ul></div>` : '';
+    return `
+      <div class="pf-section">
+        <h3>Överraskningar</h3>
+        <div class="pf-rivals">${overList}${underList}</div>
+      </div>`;
+  }
+
+  /** Placing per discipline for everyone in the final results, in final order. */
+  function disciplineTable(disciplines, results) {
+    const head = disciplines
+      .map((d) => `<th title="${esc(d.type)}">${esc(d.name)}</th>`)
+      .join('');
+    const body = results
+      .map((r) => {
+        const { id } = r.participant;
+        const cells = disciplines
+          .map((d) => {
+            const pos = d.scores[id];
+            if (pos == null) return '<td class="yd-grid-cell empty">·</td>';
+            const raw = d.results[id];
+            return `<td class="yd-grid-cell ${medalClassFor(pos)}"${
+              raw ? ` title="${esc(formatMeasurement(raw))}"` : ''
+            }>${pos}${d.shared.has(id) ? '=' : ''}</td>`;
+          })
+          .join('');
+        return `<tr><th>${esc(shortName(r.participant.name))}</th>${cells}</tr>`;
+      })
+      .join('');
+    return `
+      <div class="pf-section">
+        <h3>Grenar <span class="pf-count">${disciplines.length}</span></h3>
+        <div class="table-scroll">
+          <table class="yd-grid"><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Average 0–100 placement score per discipline type across every
+   * multi-event edition, best type first.
+   */
+  function disciplineTypes(id) {
+    const byType = {};
+    App.stats.byYearAsc.forEach((comp) => {
+      (comp.disciplines || []).forEach((d) => {
+        const pos = d.scores[id];
+        if (pos == null) return;
+        const t = byType[d.type] || (byType[d.type] = { type: d.type, scores: [], events: [] });
+        t.scores.push(placementScore(pos, Object.keys(d.scores).length));
+        t.events.push(`${d.name} ${comp.year}`);
+      });
+    });
+    return Object.values(byType)
+      .map((t) => ({ ...t, avg: t.scores.reduce((a, b) => a + b, 0) / t.scores.length }))
+      .sort((a, b) => b.avg - a.avg);
+  }
+
   function initModal() {
-    $('#modal-close').addEventListener('click', closeModal);
+    $('#modal-close').addEventListener('click', leaveModal);
     $('#modal').addEventListener('click', (e) => {
-      if (e.target === $('#modal')) closeModal();
+      if (e.target === $('#modal')) leaveModal();
     });
     document.addEventListener('keydown', (e) => {
       if (e.key !== 'Escape') return;
       if (App.game) closeGame();
-      else closeModal();
+      else if (!$('#modal').hidden) leaveModal();
     });
 
-    // Delegated: any person link or year row anywhere in the app
+    // Delegated: any person link, rivalry badge or year row anywhere in the app
     document.addEventListener('click', (e) => {
       const person = e.target.closest('[data-person]');
       if (person) {
         e.preventDefault();
-        renderProfile(person.getAttribute('data-person'));
+        navigate(`#profile/${person.getAttribute('data-person')}`);
+        return;
+      }
+      const rivalry = e.target.closest('[data-rivalry]');
+      if (rivalry) {
+        e.preventDefault();
+        navigate(`#rivalry/${rivalry.getAttribute('data-rivalry')}`);
         return;
       }
       const year = e.target.closest('[data-year]');
       if (year) {
         e.preventDefault();
-        renderYearDetail(year.getAttribute('data-year'));
+        navigate(`#year/${year.getAttribute('data-year')}`);
       }
     });
   }
@@ -2337,8 +4944,6 @@
     positionNavIndicator();
     window.scrollTo({ top: 0, behavior: 'smooth' });
 
-    if (history.replaceState) history.replaceState(null, '', `#${id}`);
-
     // Leaflet needs a size refresh when its container becomes visible
     if (id === 'overview' && App.map) setTimeout(() => App.map.invalidateSize(), 60);
     if (id !== 'games' && App.game) closeGame();
@@ -2357,18 +4962,127 @@
 
   function initNav() {
     $$('[data-view]').forEach((btn) =>
-      btn.addEventListener('click', () => showView(btn.dataset.view))
+      btn.addEventListener('click', () => navigate(`#${btn.dataset.view}`))
     );
     $('#brand-home').addEventListener('click', (e) => {
       e.preventDefault();
-      showView('overview');
+      navigate('#overview');
     });
     window.addEventListener('resize', positionNavIndicator);
+  }
+
+  /* ======================================================================
+     Router
+     ====================================================================== */
+
+  const VIEWS = ['overview', 'medals', 'history', 'records', 'achievements', 'stats', 'songs', 'games', 'admin'];
+
+  /**
+   * Everything worth sharing has a hash:
+   *   #stats                          a view
+   *   #profile/viktor-jones           a profile, over the current view
+   *   #year/2019                      a year's results, over the current view
+   *   #duel/olov-melander/per-vikman  the head-to-head in Statistik (up to six ids)
+   *   #rivalry/<id>                   a named rivalry, over the current view
+   * Anything else falls back to the overview.
+   */
+  function parseRoute(hash) {
+    let parts;
+    try {
+      parts = String(hash || '')
+        .replace(/^#\/?/, '')
+        .split('/')
+        .map(decodeURIComponent);
+    } catch (e) {
+      // A malformed escape (#profile/%) is no route at all
+      return { name: 'view', view: 'overview' };
+    }
+    const [name, ...args] = parts;
+    if (name === 'profile' && args[0]) return { name, id: args[0] };
+    if (name === 'year' && /^\d{4}$/.test(args[0] || '')) return { name, year: Number(args[0]) };
+    if (name === 'duel' && args.filter(Boolean).length >= DUEL_SIZE.min) return { name, ids: args.filter(Boolean) };
+    if (name === 'rivalry' && args[0]) return { name, id: args[0] };
+    return { name: 'view', view: VIEWS.includes(name) ? name : 'overview' };
+  }
+
+  const isModalRoute = (route) => ['profile', 'year', 'rivalry'].includes(route.name);
+
+  /** Open a URL inside the app: a new history entry, then render it. */
+  function navigate(hash) {
+    if (hash === location.hash) return;
+    history.pushState({ from: location.hash }, '', hash);
+    applyRoute(parseRoute(hash));
+  }
+
+  function replaceRoute(hash) {
+    history.replaceState(history.state, '', hash);
+    applyRoute(parseRoute(hash));
+  }
+
+  function applyRoute(route) {
+    const starter = (id) => App.stats.per[id] && App.stats.per[id].starts > 0;
+    const modalOpen = !$('#modal').hidden;
+
+    if (isModalRoute(route)) {
+      const found = {
+        profile: () => starter(route.id),
+        year: () => App.data.competitions.some((c) => c.year === route.year),
+        rivalry: () => App.namedRivalries.some((r) => r.id === route.id)
+      }[route.name]();
+      if (!found) replaceRoute(`#${App.currentView}`);
+      else if (route.name === 'profile') renderProfile(route.id);
+      else if (route.name === 'rivalry') renderRivalry(route.id);
+      else renderYearDetail(route.year);
+      return;
+    }
+
+    closeModal();
+    if (route.name === 'duel') {
+      const ids = [...new Set(route.ids)];
+      if (ids.length < DUEL_SIZE.min || ids.length > DUEL_SIZE.max || !ids.every(starter)) {
+        replaceRoute('#stats');
+        return;
+      }
+      const same = App.h2h.ids.join('/') === ids.join('/');
+      if (modalOpen && same && App.currentView === 'stats') return;
+      showView('stats');
+      setDuel(ids);
+      $('#h2h-card').scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+
+    // Closing a modal returns to the view underneath without scrolling it
+    if (!modalOpen || route.view !== App.currentView) showView(route.view);
+  }
 
-    const hash = location.hash.replace('#', '');
-    if (['overview', 'medals', 'history', 'achievements', 'stats', 'songs', 'games'].includes(hash)) {
-      App.currentView = hash;
+  /**
+   * Close button, backdrop and Escape. If the modal was opened from a view,
+   * step back to it so Back doesn't reopen the modal; otherwise (a shared
+   * link, or one modal opened from another) go to the view underneath.
+   */
+  function leaveModal() {
+    if (!isModalRoute(parseRoute(location.hash))) {
+      closeModal();
+      return;
     }
+    const { from } = history.state || {};
+    if (from != null && !isModalRoute(parseRoute(from))) history.back();
+    else navigate(`#${App.currentView}`);
+  }
+
+  /** H2H picks are shareable too; changing a pick doesn't pile up history. */
+  function updateDuelRoute() {
+    const { ids } = App.h2h;
+    const hash = ids.length >= DUEL_SIZE.min ? `#duel/${ids.join('/')}` : '#stats';
+    if (parseRoute(location.hash).name === 'duel') history.replaceState(history.state, '', hash);
+    else history.pushState({ from: location.hash }, '', hash);
+  }
+
+  function initRouter() {
+    window.addEventListener('popstate', () => applyRoute(parseRoute(location.hash)));
+    const route = parseRoute(location.hash);
+    if (isModalRoute(route)) showView(App.currentView);
+    applyRoute(route);
   }
 
   /* ======================================================================
@@ -2410,13 +5124,20 @@
   async function init() {
     try {
       setLoadingStatus('Hämtar resultat…');
-      const [data, event] = await Promise.all([loadData(), loadEvent()]);
+      const [data, event, rivalries] = await Promise.all([loadData(), loadEvent(), loadRivalries()]);
       App.data = data;
       App.event = event;
+      App.namedRivalries = resolveRivalries(rivalries, data);
 
       setLoadingStatus('Beräknar statistik…');
       App.stats = computeStats(App.data);
-      App.elo = computeElo(App.data, App.stats);
+      App.eloDefault = computeElo(App.data, App.stats);
+      App.elo = App.eloDefault;
+      App.eloLab = { ...ELO_DEFAULTS };
+      App.ratings = computeRatings(App.data, App.stats);
+      App.expectations = computeExpectations(App.eloDefault, App.stats);
+      App.forecast = computeForecast();
+      App.rivalries = rivalryIndex(App.data, App.stats);
       App.facts = computeFacts(App.data, App.stats);
       computeAchievements();
 
@@ -2427,23 +5148,31 @@
 
       renderHero();
       renderCountdown();
+      renderForecast();
       renderTicker();
       renderKPIs();
+      renderOnThisDay();
       renderOverviewCharts();
+      renderScoreModes();
       renderMedals();
       renderTimeline();
+      renderRecords();
       renderAchievements();
+      renderScenario();
       renderFilters();
       renderStatsView();
       renderH2HControls();
+      renderRivalryBoard();
       renderElo();
+      renderEloLab();
       renderSongs();
       renderGames();
+      renderAdmin();
       initMap();
 
       $('#theme-toggle').addEventListener('click', toggleTheme);
 
-      showView(App.currentView);
+      initRouter();
       observeReveals();
 
       const loader = $('#loading-screen');
@@ -0,0 +1,118 @@
+/**
+ * CSV Format - How competition-data.csv is written
+ *
+ * The one definition of the results file: its fixed columns, how a line
+ * splits into cells, what a placing cell may hold and which units a raw
+ * result can carry. The app reads the file with it and the data validator
+ * checks the file against it, so the two can't disagree about what is valid.
+ *
+ * Loaded in the browser before data-validator.js and app.js, and in Node by
+ * the validator's command line and the Vite data check.
+ */
+(function () {
+  'use strict';
+
+  const FIXED_COLUMNS = ['År', 'Datum', 'Tävling', 'Plats', 'Arrangör 3:a', 'Arrangör näst sist'];
+  const HOST_COLUMNS = ['Arrangör 3:a', 'Arrangör näst sist'];
+
+  /**
+   * Units a raw result can carry. `factor` converts to the first unit of the
+   * same kind so 850g and 1.2kg compare; `lower` marks kinds where less wins.
+   */
+  const UNITS = {
+    kg: { kind: 'weight', factor: 1 },
+    g: { kind: 'weight', factor: 0.001 },
+    p: { kind: 'points', factor: 1 },
+    poäng: { kind: 'points', factor: 1 },
+    träffar: { kind: 'hits', factor: 1 },
+    tr: { kind: 'hits', factor: 1 },
+    s: { kind: 'time', factor: 1, lower: true },
+    min: { kind: 'time', factor: 60, lower: true },
+    m: { kind: 'distance', factor: 1 },
+    cm: { kind: 'distance', factor: 0.01 }
+  };
+
+  /**
+   * Split CSV text into cells, untrimmed, remembering each row's line number
+   * so problems can point at the line you'd edit on GitHub.
+   */
+  function parseCSV(text) {
+    const parseLine = (line) => {
+      const out = [];
+      let cur = '';
+      let quoted = false;
+      for (const ch of line) {
+        if (ch === '"') quoted = !quoted;
+        else if (ch === ',' && !quoted) {
+          out.push(cur);
+          cur = '';
+        } else cur += ch;
+      }
+      out.push(cur);
+      return out;
+    };
+
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headers = parseLine(lines[0] || '');
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      rows.push({ line: i + 1, cells: parseLine(lines[i]) });
+    }
+    return { headers, rows };
+  }
+
+  /**
+   * Raw result after the `|` in a cell: `4.2kg`, `"4,2 kg"`, `18 träffar`,
+   * `12400p` or a bare number. Values are normalised to the base unit of
+   * their kind; an unknown unit keeps the number with kind 'other'. Null
+   * when it isn't a number at all.
+   */
+  function parseMeasurement(raw) {
+    const m = /^(-?\d+(?:[.,]\d+)?)\s*([a-zåäö]*)$/i.exec(String(raw || '').trim());
+    if (!m) return null;
+    const number = parseFloat(m[1].replace(',', '.'));
+    const unit = m[2].toLowerCase();
+    const def = UNITS[unit];
+    return {
+      raw: String(raw).trim(),
+      number,
+      unit,
+      kind: def ? def.kind : unit ? 'other' : 'score',
+      value: def ? number * def.factor : number,
+      lower: Boolean(def && def.lower)
+    };
+  }
+
+  /**
+   * One participant cell: a placing (`3`), a shared placing (`3=` or `T3`),
+   * either optionally followed by a raw result (`3|4.2kg`). Blank and `-`
+   * mean "didn't start" and give null; anything else unreadable gives
+   * { invalid: true }. `raw` is the text after `|`, `result` its measurement.
+   */
+  function parseCell(cell) {
+    const v = String(cell == null ? '' : cell).trim();
+    if (!v || v === '-') return null;
+    const [place, raw] = v.split('|');
+    const m = /^(T)?\s*(\d+)\s*(=)?$/i.exec(place.trim());
+    if (!m) return { invalid: true };
+    return {
+      pos: parseInt(m[2], 10),
+      shared: Boolean(m[1] || m[3]),
+      raw: raw != null ? raw.trim() : null,
+      result: raw != null ? parseMeasurement(raw) : null
+    };
+  }
+
+  /**
+   * How names are compared: a header, a host and a registry name or alias
+   * are the same person when they match ignoring case and outer spaces.
+   */
+  function nameKey(name) {
+    return String(name == null ? '' : name).trim().toLowerCase();
+  }
+
+  // Export for global access — globalThis, because the validator's command
+  // line and the build-time data check load this file in Node as well
+  globalThis.CsvFormat = { FIXED_COLUMNS, HOST_COLUMNS, UNITS, parseCSV, parseMeasurement, parseCell, nameKey };
+})();
@@ -0,0 +1,312 @@
+/**
+ * Data Validator - Checks competition-data.csv for mistakes
+ *
+ * The app is forgiving: rows without a year are skipped, unknown hosts and
+ * places are ignored. That keeps the site up, but hides typos. This module
+ * lists every such problem with its row, column and a suggested fix.
+ *
+ * What a valid file looks like comes from csv-format.js, the same module
+ * the app reads the file with; load it first. Runs in three places:
+ *   - the browser, behind the hidden #admin view
+ *   - the Vite build (see dataCheck() in vite.config.js)
+ *   - the command line: `npm run validate:data [file]`
+ */
+(function () {
+  'use strict';
+
+  /** Excel-style column letter, as shown by spreadsheet editors. */
+  function columnLetter(index) {
+    let n = index + 1;
+    let s = '';
+    while (n > 0) {
+      const r = (n - 1) % 26;
+      s = String.fromCharCode(65 + r) + s;
+      n = Math.floor((n - 1) / 26);
+    }
+    return s;
+  }
+
+  function distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  /** Closest candidate by edit distance, if it's close enough to be a typo. */
+  function closest(value, candidates) {
+    const v = value.trim().toLowerCase();
+    let best = null;
+    candidates.forEach((c) => {
+      const dist = distance(v, c.toLowerCase());
+      if (dist <= Math.max(2, Math.floor(c.length / 4)) && (!best || dist < best.dist)) {
+        best = { value: c, dist };
+      }
+    });
+    return best ? best.value : null;
+  }
+
+  /**
+   * Validate the results CSV.
+   *
+   * @param {string} text - the raw file contents
+   * @param {Object} [options]
+   * @param {string[]} [options.locations] - known `Plats` values
+   * @param {Object[]} [options.participants] - entries from participants.json
+   * @returns {Array<{severity: 'error'|'warning', line: number, column: string, message: string, fix: string}>}
+   */
+  function validate(text, options = {}) {
+    const { FIXED_COLUMNS, HOST_COLUMNS, parseCSV, nameKey } = globalThis.CsvFormat;
+    const locations = options.locations || [];
+    const registry = options.participants || [];
+    // Matched the way the app matches them: case and outer spaces don't count
+    const aliasOf = {};
+    registry.forEach((p) => [p.name, ...(p.aliases || [])].forEach((n) => (aliasOf[nameKey(n)] = p.name)));
+    const issues = [];
+    const add = (severity, line, column, message, fix) =>
+      issues.push({ severity, line, column: column || '', message, fix: fix || '' });
+
+    const { headers, rows } = parseCSV(text);
+    const col = (name) => headers.findIndex((h) => h.trim() === name);
+    const where = (i) => (i === -1 ? '' : `${columnLetter(i)} (${headers[i].trim() || 'tom rubrik'})`);
+
+    // ----- Header -----
+    FIXED_COLUMNS.forEach((name) => {
+      if (col(name) === -1) {
+        add('error', 1, '', `Kolumnen "${name}" saknas i rubrikraden.`, `Lägg till "${name}" bland de sex första kolumnerna.`);
+      }
+    });
+
+    const participantCols = [];
+    const seen = {};
+    headers.forEach((h, i) => {
+      const name = h.trim();
+      if (FIXED_COLUMNS.includes(name)) return;
+      if (!name) {
+        add('error', 1, columnLetter(i), 'Tom kolumnrubrik — kolumnen läses inte.', 'Skriv deltagarens fulla namn eller ta bort kolumnen.');
+        return;
+      }
+      if (h !== name) {
+        add('warning', 1, where(i), `Rubriken "${h}" har mellanslag före eller efter namnet.`, `Skriv "${name}".`);
+      }
+      if (seen[name] != null) {
+        add('error', 1, where(i), `"${name}" finns redan i kolumn ${columnLetter(seen[name])}.`, 'Slå ihop kolumnerna till en.');
+        return;
+      }
+      seen[name] = i;
+      participantCols.push(i);
+      if (registry.length && !aliasOf[nameKey(name)]) {
+        add('warning', 1, where(i), `"${name}" saknas i participants.json och får ett id från kolumnnamnet.`, 'Lägg till personen i public/participants.json, eller lägg det gamla namnet som alias om kolumnen bytt namn.');
+      }
+    });
+    const names = participantCols.map((i) => headers[i].trim());
+
+    // Without År and Tävling no row can be read — the header error says it all
+    if (col('År') === -1 || col('Tävling') === -1) return issues;
+
+    // ----- Rows -----
+    const years = {};
+    rows.forEach(({ line, cells }) => {
+      const get = (name) => (col(name) === -1 ? '' : cells[col(name)] || '');
+
+      if (cells.length !== headers.length) {
+        add(
+          'error',
+          line,
+          '',
+          `Raden har ${cells.length} värden men rubriken har ${headers.length} kolumner.`,
+          cells.length > headers.length
+            ? 'Leta efter ett kommatecken för mycket, eller citera värden som innehåller komma.'
+            : 'Lägg till tomma värden (,,) för de kolumner som saknas.'
+        );
+      }
+
+      const year = get('År').trim();
+      const comp = get('Tävling').trim();
+      if (!year || !comp) {
+        add(
+          'error',
+          line,
+          !year ? where(col('År')) : where(col('Tävling')),
+          `Raden saknar ${!year ? 'år' : 'tävlingsnamn'} och hoppas över helt.`,
+          !year ? 'Fyll i året, t.ex. 2027.' : 'Fyll i vad tävlingen hette.'
+        );
+        return;
+      }
+      if (!/^\d{4}$/.test(year)) {
+        add('error', line, where(col('År')), `"${year}" är inget årtal.`, 'Skriv året med fyra siffror.');
+      } else if (years[year]) {
+        add('error', line, where(col('År')), `${year} finns redan på rad ${years[year]}.`, 'Ett år ska bara ha en rad — ta bort eller slå ihop dubbletten.');
+      } else {
+        years[year] = line;
+      }
+
+      const date = get('Datum').trim();
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        add('warning', line, where(col('Datum')), `Datumet "${date}" följer inte formatet ÅÅÅÅ-MM-DD och ignoreras.`, 'Skriv t.ex. 2027-08-14.');
+      } else if (date && date.slice(0, 4) !== year) {
+        add('warning', line, where(col('Datum')), `Datumet ${date} ligger inte år ${year}.`, `Kontrollera år och datum — ett av dem är fel.`);
+      }
+
+      const isCovid = comp.toLowerCase() === 'covid';
+      if (comp !== get('Tävling')) {
+        add('warning', line, where(col('Tävling')), `Tävlingsnamnet "${get('Tävling')}" har mellanslag före eller efter.`, `Skriv "${comp}".`);
+      }
+
+      const place = get('Plats');
+      if (place.trim() && !isCovid && !locations.includes(place.trim())) {
+        const guess = closest(place, locations);
+        add(
+          'warning',
+          line,
+          where(col('Plats')),
+          `Platsen "${place.trim()}" finns inte i kartan och får ingen nål.`,
+          guess
+            ? `Menade du "${guess}"? Annars: lägg till orten i src/data/locations.js.`
+            : 'Lägg till orten med koordinater i src/data/locations.js.'
+        );
+      }
+
+      HOST_COLUMNS.forEach((hc) => {
+        const raw = get(hc);
+        const host = raw.trim();
+        if (!host) return;
+        if (names.some((n) => nameKey(n) === nameKey(host)) || aliasOf[nameKey(host)]) {
+          if (raw !== host) {
+            add('warning', line, where(col(hc)), `Arrangören "${raw}" har mellanslag före eller efter namnet.`, `Skriv "${host}".`);
+          }
+          return;
+        }
+        const guess = closest(host, names);
+        add(
+          'warning',
+          line,
+          where(col(hc)),
+          `Arrangören "${host}" matchar ingen deltagarkolumn och räknas inte som värd.`,
+          guess ? `Menade du "${guess}"?` : 'Stava namnet exakt som i rubrikraden.'
+        );
+      });
+
+      validatePlacings({ line, cells, isCovid, participantCols, where, add });
+    });
+
+    return issues;
+  }
+
+  /** Placings on one row: parseable, consistent, ties marked. */
+  function validatePlacings({ line, cells, isCovid, participantCols, where, add }) {
+    const { UNITS, parseCell } = globalThis.CsvFormat;
+    const placed = [];
+    participantCols.forEach((i) => {
+      const cell = cells[i] || '';
+      const parsed = parseCell(cell);
+      if (!parsed) return;
+      if (parsed.invalid) {
+        add('error', line, where(i), `"${cell.trim()}" är ingen placering och ignoreras.`, 'Skriv en siffra (1 = vinnare), 3= för delad plats, eller - om personen inte deltog.');
+        return;
+      }
+      if (parsed.pos < 1) {
+        add('error', line, where(i), 'Placering 0 finns inte.', 'Vinnaren har placering 1.');
+        return;
+      }
+      if (parsed.raw != null && !parsed.result) {
+        add('warning', line, where(i), `Mätresultatet "${parsed.raw}" går inte att läsa.`, 'Skriv ett tal med enhet efter |, t.ex. 3|4.2kg.');
+      } else if (parsed.result && parsed.result.kind === 'other') {
+        add('warning', line, where(i), `Enheten "${parsed.result.unit}" är okänd — resultatet visas men blir inget rekord.`, `Använd någon av ${Object.keys(UNITS).join(', ')}.`);
+      }
+      placed.push({ i, ...parsed });
+    });
+
+    if (isCovid) {
+      if (placed.length) add('warning', line, '', 'Raden är markerad som Covid men har placeringar — de ignoreras.', 'Ta bort placeringarna eller byt tävlingsnamn.');
+      return;
+    }
+
+    const byPos = {};
+    let gapReported = false;
+    placed.forEach((p) => (byPos[p.pos] = byPos[p.pos] || []).push(p));
+    Object.keys(byPos).map(Number).sort((a, b) => a - b).forEach((pos) => {
+      const holders = byPos[pos];
+      if (holders.length > 1 && holders.some((h) => !h.shared)) {
+        add(
+          'warning',
+          line,
+          holders.map((h) => columnLetter(h.i)).join(', '),
+          `${holders.length} deltagare har placering ${pos} utan att den är markerad som delad.`,
+          `Skriv ${pos}= hos alla som delar platsen om det var oavgjort, annars rätta placeringen.`
+        );
+      } else if (holders.length === 1 && holders[0].shared) {
+        add('warning', line, where(holders[0].i), `Placering ${pos} är markerad som delad men ingen annan har den.`, `Ta bort = eller ge den som delade platsen ${pos}= också.`);
+      }
+
+      // Standard competition ranking: place N means N-1 people finished ahead.
+      // One gap shifts every later place, so only the first one is reported.
+      const ahead = placed.filter((p) => p.pos < pos).length;
+      if (ahead !== pos - 1 && !gapReported) {
+        gapReported = true;
+        add(
+          'warning',
+          line,
+          holders.map((h) => columnLetter(h.i)).join(', '),
+          `Placering ${pos} går inte ihop: ${ahead} deltagare placerade sig före.`,
+          ahead < pos - 1
+            ? `Någon placering saknas före ${pos} — eller ska det vara ${ahead + 1}?`
+            : `Efter en delad placering hoppar numreringen över — nästa plats är ${ahead + 1}.`
+        );
+      }
+    });
+  }
+
+  function format(issue) {
+    const at = [issue.line ? `rad ${issue.line}` : '', issue.column ? `kolumn ${issue.column}` : '']
+      .filter(Boolean)
+      .join(', ');
+    return `${issue.severity === 'error' ? 'FEL' : 'VARNING'} ${at}: ${issue.message}${issue.fix ? ` → ${issue.fix}` : ''}`;
+  }
+
+  const DataValidator = { validate, format };
+
+  // Export for global access — globalThis, so Node can load it too
+  globalThis.DataValidator = DataValidator;
+
+  /**
+   * Command line: `node src/scripts/data-validator.js [file]`.
+   * Exits non-zero when there are errors, so it can gate a build.
+   */
+  async function runCli() {
+    const fs = await import('node:fs');
+    const path = await import('node:path');
+    const url = await import('node:url');
+    const here = path.dirname(path.resolve(process.argv[1]));
+    await import(url.pathToFileURL(path.resolve(here, 'csv-format.js')).href);
+    await import(url.pathToFileURL(path.resolve(here, '../data/locations.js')).href);
+    const registryFile = path.resolve(here, '../../public/participants.json');
+    const participants = fs.existsSync(registryFile) ? JSON.parse(fs.readFileSync(registryFile, 'utf8')) : [];
+
+    const file = process.argv[2] || path.resolve(here, '../../competition-data.csv');
+    const issues = validate(fs.readFileSync(file, 'utf8'), {
+      locations: Object.keys(globalThis.LOCATION_COORDS || {}),
+      participants
+    });
+    issues.forEach((issue) => process.stdout.write(`${format(issue)}\n`));
+    const errors = issues.filter((i) => i.severity === 'error').length;
+    process.stdout.write(`\n${path.basename(file)}: ${errors} fel, ${issues.length - errors} varningar\n`);
+    process.exitCode = errors ? 1 : 0;
+  }
+
+  if (
+    typeof window === 'undefined' &&
+    typeof process !== 'undefined' &&
+    /data-validator\.js$/.test((process.argv && process.argv[1]) || '')
+  ) {
+    runCli().catch((err) => {
+      process.stderr.write(`${err.message}\n`);
+      process.exitCode = 1;
+    });
+  }
+})();
@@ -0,0 +1,108 @@
+/**
+ * Forecast - Monte Carlo odds for the next edition
+ *
+ * Every simulated edition draws a performance for each starter — their Elo
+ * plus some luck — and ranks the field by it. The luck is personal: someone
+ * whose placings are all over the place gets a wider spread than someone who
+ * always ends up fourth. Count golds, podiums and last places over enough
+ * runs and you have the odds.
+ *
+ * The random numbers come from a fixed seed, so the same data gives the same
+ * forecast on every page load instead of odds that wobble on refresh.
+ */
+(function () {
+  'use strict';
+
+  /**
+   * runs: simulated editions. spread: the typical luck in Elo points (one
+   * standard deviation). Personal spreads are clamped to [minSpread,
+   * maxSpread] times that, and need at least minStarts results to count.
+   */
+  const FORECAST = { runs: 10000, spread: 200, minSpread: 0.6, maxSpread: 1.6, minStarts: 3, seed: 2011 };
+
+  /** Mulberry32: small, fast and plenty random for this. */
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Standard normal draws by Box–Muller. */
+  function normal(rand) {
+    const u = 1 - rand();
+    const v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * How much someone's results scatter: the standard deviation of their
+   * placings, each scaled to 0 (won) … 1 (last) so field size doesn't matter.
+   * `placings` is a list of [position, fieldSize]. Null with too few starts.
+   */
+  function scatter(placings) {
+    const xs = placings.filter(([, size]) => size > 1).map(([pos, size]) => (pos - 1) / (size - 1));
+    if (xs.length < FORECAST.minStarts) return null;
+    const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    return Math.sqrt(xs.reduce((a, x) => a + (x - mean) * (x - mean), 0) / xs.length);
+  }
+
+  /**
+   * Odds for a field of `{ id, rating, placings }`. Returns
+   * `{ runs, odds: {id: {gold, podium, last, meanPos, spread}}, field }` with
+   * the odds as shares 0–1 and `field` the ids by chance of gold.
+   */
+  function simulate(entrants, options = {}) {
+    const opts = { ...FORECAST, ...options };
+    const n = entrants.length;
+    const odds = {};
+    if (n < 2) return { runs: 0, odds, field: [] };
+
+    // Personal spread, relative to the field's median scatter
+    const scatters = entrants.map((e) => scatter(e.placings || []));
+    const known = scatters.filter((s) => s != null).sort((a, b) => a - b);
+    const median = known.length ? known[Math.floor(known.length / 2)] : null;
+    const spreads = scatters.map((s) => {
+      if (s == null || !median) return opts.spread;
+      return opts.spread * Math.min(Math.max(s / median, opts.minSpread), opts.maxSpread);
+    });
+
+    const rand = seededRandom(opts.seed);
+    const tally = entrants.map(() => ({ gold: 0, podium: 0, last: 0, posSum: 0 }));
+    const order = entrants.map((_, i) => i);
+    const perf = new Float64Array(n);
+    for (let r = 0; r < opts.runs; r++) {
+      for (let i = 0; i < n; i++) perf[i] = entrants[i].rating + spreads[i] * normal(rand);
+      order.sort((a, b) => perf[b] - perf[a]);
+      order.forEach((i, rank) => {
+        const t = tally[i];
+        if (rank === 0) t.gold++;
+        if (rank < 3) t.podium++;
+        if (rank === n - 1) t.last++;
+        t.posSum += rank + 1;
+      });
+    }
+
+    entrants.forEach((e, i) => {
+      const t = tally[i];
+      odds[e.id] = {
+        gold: t.gold / opts.runs,
+        podium: t.podium / opts.runs,
+        last: t.last / opts.runs,
+        meanPos: t.posSum / opts.runs,
+        spread: Math.round(spreads[i])
+      };
+    });
+    const field = entrants
+      .map((e) => e.id)
+      .sort((a, b) => odds[b].gold - odds[a].gold || odds[a].meanPos - odds[b].meanPos);
+    return { runs: opts.runs, odds, field };
+  }
+
+  // Export for global access
+  window.Forecast = { simulate, scatter, defaults: FORECAST };
+})();
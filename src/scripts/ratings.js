@@ -0,0 +1,263 @@
+/**
+ * Rating Systems - Glicko-2 and a TrueSkill-style rating beside Elo
+ *
+ * Elo (computeElo in app.js) gives one number per person. These two also
+ * track how sure that number is, which matters here: someone with three
+ * starts in fifteen years shouldn't look as settled as the regulars.
+ *
+ * Both take the editions in year order (`stats.byYearAsc`) and return the
+ * same shape as computeElo, plus a confidence band per person and year:
+ *   { current, history: {id: {year: rating}}, bands: {id: {year: [lo, hi]}}, years }
+ */
+(function () {
+  'use strict';
+
+  /** Pairwise score for A against B: lower placing wins, equal is a draw. */
+  const pairScore = (posA, posB) => (posA === posB ? 0.5 : posA < posB ? 1 : 0);
+
+  /**
+   * Standings from the per-person state every system keeps. `rating` is the
+   * headline number, `deviation` the ± shown beside it, `sortKey` orders the
+   * table (defaults to the rating).
+   */
+  function summarise(participants, people, history, bands, years) {
+    const current = participants
+      .filter((p) => people[p.id].starts > 0)
+      .map((p) => {
+        const person = people[p.id];
+        const rated = Object.keys(history[p.id]).map(Number).sort((a, b) => a - b);
+        const last = rated[rated.length - 1];
+        const prev = rated[rated.length - 2];
+        return {
+          participant: p,
+          rating: person.rating,
+          deviation: person.deviation,
+          sortKey: person.sortKey != null ? person.sortKey : person.rating,
+          peak: Math.max(...Object.values(history[p.id])),
+          change: prev != null ? history[p.id][last] - history[p.id][prev] : 0,
+          starts: person.starts
+        };
+      })
+      .sort((a, b) => b.sortKey - a.sortKey);
+    return { current, history, bands, years };
+  }
+
+  /* ----------------------------------------------------------------------
+     Glicko-2 (Glickman, 2012). Each edition is one rating period and every
+     pair of starters one game. Like our Elo, each game is weighted 1/(n-1)
+     so a big field counts as one result rather than eleven. Skipping a year
+     widens your deviation, so a comeback is rated with due doubt.
+     ---------------------------------------------------------------------- */
+
+  const GLICKO = { rating: 1500, rd: 350, vol: 0.06, tau: 0.5, scale: 173.7178 };
+
+  const glickoG = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+  const glickoE = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-glickoG(phiJ) * (mu - muJ)));
+
+  /** New volatility, by the Illinois iteration in step 5 of the paper. */
+  function glickoVolatility(phi, sigma, v, delta) {
+    const { tau } = GLICKO;
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const d = phi * phi + v + ex;
+      return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) B = Math.log(delta * delta - phi * phi - v);
+    else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    for (let i = 0; i < 100 && Math.abs(B - A) > 1e-6; i++) {
+      const C = A + ((A - B) * fA) / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else fA /= 2;
+      B = C;
+      fB = fC;
+    }
+    return Math.exp(A / 2);
+  }
+
+  function computeGlicko2(editions, participants) {
+    const { scale } = GLICKO;
+    const maxPhi = GLICKO.rd / scale;
+    const state = {};
+    const history = {};
+    const bands = {};
+    participants.forEach((p) => {
+      state[p.id] = { mu: 0, phi: maxPhi, sigma: GLICKO.vol, starts: 0 };
+      history[p.id] = {};
+      bands[p.id] = {};
+    });
+
+    const years = [];
+    editions.forEach((comp) => {
+      const ids = Object.keys(comp.scores).filter((id) => state[id]);
+      if (ids.length < 2) return;
+      years.push(comp.year);
+      const w = 1 / (ids.length - 1);
+
+      // Everyone is rated against the ratings from before this edition
+      const next = {};
+      ids.forEach((id) => {
+        const me = state[id];
+        let vInv = 0;
+        let sum = 0;
+        ids.forEach((opp) => {
+          if (opp === id) return;
+          const o = state[opp];
+          const g = glickoG(o.phi);
+          const e = glickoE(me.mu, o.mu, o.phi);
+          vInv += w * g * g * e * (1 - e);
+          sum += w * g * (pairScore(comp.scores[id], comp.scores[opp]) - e);
+        });
+        const v = 1 / vInv;
+        const sigma = glickoVolatility(me.phi, me.sigma, v, v * sum);
+        const phiStar = Math.sqrt(me.phi * me.phi + sigma * sigma);
+        const phi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+        next[id] = { mu: me.mu + phi * phi * sum, phi, sigma };
+      });
+
+      participants.forEach((p) => {
+        const s = state[p.id];
+        if (next[p.id]) {
+          Object.assign(s, next[p.id]);
+          s.starts++;
+        } else if (s.starts > 0) {
+          // Sat this one out: less sure of them than before
+          s.phi = Math.min(Math.sqrt(s.phi * s.phi + s.sigma * s.sigma), maxPhi);
+        }
+        if (s.starts > 0) {
+          const r = GLICKO.rating + s.mu * scale;
+          const rd = s.phi * scale;
+          history[p.id][comp.year] = Math.round(r);
+          bands[p.id][comp.year] = [Math.round(r - 2 * rd), Math.round(r + 2 * rd)];
+        }
+      });
+    });
+
+    const people = {};
+    participants.forEach((p) => {
+      const s = state[p.id];
+      people[p.id] = {
+        rating: Math.round(GLICKO.rating + s.mu * scale),
+        deviation: Math.round(2 * s.phi * scale),
+        starts: s.starts
+      };
+    });
+    return summarise(participants, people, history, bands, years);
+  }
+
+  /* ----------------------------------------------------------------------
+     TrueSkill-style: Weng & Lin's (2011) Bayesian approximation, the
+     Bradley-Terry full-pair variant, which rates a whole finishing order at
+     once. Ratings are a skill μ with uncertainty σ on TrueSkill's scale
+     (everyone starts at 25); the table ranks by the cautious μ − 3σ, as
+     TrueSkill does.
+     ---------------------------------------------------------------------- */
+
+  const TRUESKILL = { mu: 25, sigma: 25 / 3, beta: 25 / 6, kappa: 0.0001 };
+  TRUESKILL.tau = TRUESKILL.sigma / 100;
+
+  function computeTrueSkill(editions, participants) {
+    const { beta, kappa, tau } = TRUESKILL;
+    const state = {};
+    const history = {};
+    const bands = {};
+    participants.forEach((p) => {
+      state[p.id] = { mu: TRUESKILL.mu, sigma: TRUESKILL.sigma, starts: 0 };
+      history[p.id] = {};
+      bands[p.id] = {};
+    });
+
+    const round1 = (x) => Math.round(x * 10) / 10;
+    const years = [];
+    editions.forEach((comp) => {
+      const ids = Object.keys(comp.scores).filter((id) => state[id]);
+      if (ids.length < 2) return;
+      years.push(comp.year);
+
+      // Skill drifts a little between editions, for everyone already rated
+      participants.forEach((p) => {
+        const s = state[p.id];
+        if (s.starts > 0 || ids.includes(p.id)) s.sigma = Math.sqrt(s.sigma * s.sigma + tau * tau);
+      });
+
+      const next = {};
+      ids.forEach((id) => {
+        const me = state[id];
+        let omega = 0;
+        let delta = 0;
+        ids.forEach((opp) => {
+          if (opp === id) return;
+          const o = state[opp];
+          const c = Math.sqrt(me.sigma * me.sigma + o.sigma * o.sigma + 2 * beta * beta);
+          const p = 1 / (1 + Math.exp((o.mu - me.mu) / c));
+          const s = pairScore(comp.scores[id], comp.scores[opp]);
+          // Weng & Lin offer γ = σ/c or γ = 1/k; with twelve starters the
+          // first shrinks a newcomer's σ to nothing in one go
+          const gamma = 1 / (ids.length - 1);
+          omega += ((me.sigma * me.sigma) / c) * (s - p);
+          delta += ((gamma * me.sigma * me.sigma) / (c * c)) * p * (1 - p);
+        });
+        next[id] = {
+          mu: me.mu + omega,
+          sigma: me.sigma * Math.sqrt(Math.max(1 - delta, kappa))
+        };
+      });
+
+      participants.forEach((p) => {
+        const s = state[p.id];
+        if (next[p.id]) {
+          Object.assign(s, next[p.id]);
+          s.starts++;
+        }
+        if (s.starts > 0) {
+          history[p.id][comp.year] = round1(s.mu);
+          bands[p.id][comp.year] = [round1(s.mu - 2 * s.sigma), round1(s.mu + 2 * s.sigma)];
+        }
+      });
+    });
+
+    const people = {};
+    participants.forEach((p) => {
+      const s = state[p.id];
+      people[p.id] = {
+        rating: round1(s.mu),
+        deviation: round1(2 * s.sigma),
+        sortKey: s.mu - 3 * s.sigma,
+        starts: s.starts
+      };
+    });
+    return summarise(participants, people, history, bands, years);
+  }
+
+  const RatingSystems = {
+    glicko2: {
+      label: 'Glicko-2',
+      compute: computeGlicko2,
+      description:
+        'Som Elo, men med en osäkerhet (±) per person. Den krymper för varje start och växer för varje år man ' +
+        'står över, så den som sällan är med får ett brett band och rör sig mer när den väl startar.'
+    },
+    trueskill: {
+      label: 'TrueSkill',
+      compute: computeTrueSkill,
+      description:
+        'Byggt för spel med många deltagare: hela resultatlistan räknas på en gång. Alla börjar på 25 och ' +
+        'tabellen sorteras på den försiktiga skattningen μ − 3σ, så man klättrar först när systemet är säkert.'
+    }
+  };
+
+  // Export for global access
+  window.RatingSystems = RatingSystems;
+})();
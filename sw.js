@@ -379,9 +379,9 @@ async function updateDataInBackground() {
         const cache = await caches.open(DATA_CACHE_NAME);
         
         // Update CSV file
-        const csvResponse = await fetch('./Pekkas Pokal Marathontabell Marathontabell.csv');
+        const csvResponse = await fetch('./competition-data.csv');
         if (csvResponse.ok) {
-            await cache.put('./Pekkas Pokal Marathontabell Marathontabell.csv', csvResponse);
+            await cache.put('./competition-data.csv', csvResponse);
         }
         
         // Notify clients of update
@@ -1,6 +1,7 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
-import { readdirSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { pathToFileURL } from 'url';
 
 /**
  * Lists the years that have a photo in public/photos/ so the app can load them
@@ -25,8 +26,51 @@ function photoManifest() {
   };
 }
 
+/**
+ * Runs the data validator over competition-data.csv and prints what it finds
+ * as build warnings. Never fails the build — a typo in the CSV shouldn't take
+ * the site down; `npm run validate:data` is the strict version.
+ */
+function dataCheck() {
+  return {
+    name: 'data-check',
+    async buildStart() {
+      const csv = resolve(__dirname, 'competition-data.csv');
+      if (!existsSync(csv)) return;
+      await import(pathToFileURL(resolve(__dirname, 'src/data/locations.js')).href);
+      await import(pathToFileURL(resolve(__dirname, 'src/scripts/csv-format.js')).href);
+      await import(pathToFileURL(resolve(__dirname, 'src/scripts/data-validator.js')).href);
+      const { DataValidator, LOCATION_COORDS } = globalThis;
+      const registry = resolve(__dirname, 'public/participants.json');
+      const participants = existsSync(registry) ? JSON.parse(readFileSync(registry, 'utf8')) : [];
+      DataValidator.validate(readFileSync(csv, 'utf8'), { locations: Object.keys(LOCATION_COORDS), participants })
+        .forEach((issue) => this.warn(`competition-data.csv: ${DataValidator.format(issue)}`));
+    }
+  };
+}
+
+/**
+ * Fails the build when an achievement definition has no rule the engine can
+ * evaluate. Unlike the CSV check this one is strict: a broken rule is a code
+ * error, and shipping it would just mean a badge nobody can ever earn.
+ */
+function achievementCheck() {
+  return {
+    name: 'achievement-check',
+    async buildStart() {
+      await import(pathToFileURL(resolve(__dirname, 'src/data/achievements.js')).href);
+      await import(pathToFileURL(resolve(__dirname, 'src/scripts/achievement-engine.js')).href);
+      const { AchievementEngine, ACHIEVEMENT_DEFINITIONS } = globalThis;
+      const problems = AchievementEngine.validate(ACHIEVEMENT_DEFINITIONS);
+      if (problems.length) {
+        this.error(`achievements.js: ${problems.map((p) => `${p.id}: ${p.problem}`).join('; ')}`);
+      }
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [photoManifest()],
+  plugins: [photoManifest(), dataCheck(), achievementCheck()],
 
   // Base path for GitHub Pages - repository name.
   // PAGES_BASE overrides it, so the same build can target a mirror repo